@@ -0,0 +1,338 @@
+// --- Dependencies ---
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+
+// --- TOKEN CONFIGURATION ---
+// Like the database pool, token signing relies entirely on environment variables.
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set to sign access tokens.');
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+
+// --- TOKEN HELPERS ---
+
+/**
+ * Refresh tokens are only ever stored as a SHA-256 digest, so a leaked
+ * refresh_tokens table cannot be replayed against /api/token/refresh.
+ * @param {string} token - The raw refresh token.
+ * @returns {string} Hex digest of the token.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Signs a short-lived access token for the user.
+ * @param {Object} user - { userId, username }
+ * @param {string} sessionId - The login session the token belongs to.
+ * @returns {string} The signed JWT.
+ */
+const signAccessToken = (user, sessionId) => {
+    return jwt.sign(
+        { sub: user.userId, username: user.username, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+/**
+ * Verifies an access token.
+ * @param {string} token - The JWT sent by the client.
+ * @returns {Object|null} { userId, username, sessionId } or null if invalid/expired.
+ */
+const verifyAccessToken = (token) => {
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        return { userId: payload.sub, username: payload.username, sessionId: payload.sid };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Issues an access/refresh token pair. Omitting sessionId starts a new login session;
+ * passing one continues an existing session during rotation.
+ * @param {Object} user - { userId, username }
+ * @param {string} [sessionId]
+ * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+ */
+const issueTokens = async (user, sessionId = uuidv4()) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await db.saveRefreshToken(hashToken(refreshToken), sessionId, user.userId, REFRESH_TOKEN_TTL_MS);
+
+    return {
+        accessToken: signAccessToken(user, sessionId),
+        refreshToken,
+        sessionId
+    };
+};
+
+/**
+ * Exchanges a refresh token for a new pair. Each refresh token is single-use:
+ * presenting one that was already rotated is treated as theft and ends the whole session.
+ * @param {string} refreshToken - The raw refresh token from the client.
+ * @returns {Promise<Object|null>} The new token pair, or null if the token is not usable.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const record = await db.findRefreshToken(tokenHash);
+
+    if (!record) {
+        return null;
+    }
+    if (record.revoked_at) {
+        await db.revokeSession(record.session_id);
+        return null;
+    }
+    if (!record.isActive) {
+        return null;
+    }
+
+    // Guard against two concurrent refreshes with the same token: only one can revoke it.
+    const revoked = await db.revokeRefreshToken(tokenHash);
+    if (!revoked) {
+        return null;
+    }
+
+    const user = await db.findUserById(record.user_id);
+    if (!user) {
+        return null;
+    }
+
+    const tokens = await issueTokens({ userId: user.user_id, username: user.username }, record.session_id);
+    return { ...tokens, userId: user.user_id, username: user.username };
+};
+
+// --- ACCOUNT EMAIL TOKENS ---
+// Password reset and email verification links carry a random token; the database only
+// ever sees its digest, so the tokens table cannot be used to take over accounts.
+
+/**
+ * Creates a password reset token (valid for an hour), replacing any earlier one.
+ * @returns {Promise<string>} The raw token for the emailed link.
+ */
+const createPasswordResetToken = async (userId) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await db.savePasswordResetToken(userId, hashToken(token));
+    return token;
+};
+
+/**
+ * Sets a new password using a reset token. The token is single-use, every session of the
+ * user is revoked, and the email counts as verified since the link reached its owner.
+ * @param {string} token - The raw token from the link.
+ * @param {string} passwordHash - bcrypt hash of the new password.
+ * @returns {Promise<Object|null>} { userId, username } or null if the token is not usable.
+ */
+const resetPassword = async (token, passwordHash) => {
+    const tokenHash = hashToken(token);
+    const user = await db.findUserByToken(tokenHash);
+    if (!user) {
+        return null;
+    }
+    // Guard against two concurrent resets with the same token: only one can delete it.
+    if (!(await db.deletePasswordResetToken(tokenHash))) {
+        return null;
+    }
+    await db.updateUserPassword(user.user_id, passwordHash);
+    await db.revokeAllUserSessions(user.user_id);
+    await db.markEmailVerified(user.user_id);
+    return { userId: user.user_id, username: user.username };
+};
+
+/**
+ * Creates an email verification token (valid for 48 hours), replacing any earlier one.
+ * @returns {Promise<string>} The raw token for the emailed link.
+ */
+const createEmailVerificationToken = async (userId) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await db.saveEmailVerificationToken(userId, hashToken(token), EMAIL_VERIFICATION_TTL_MS);
+    return token;
+};
+
+/**
+ * @returns {Promise<Object|undefined>} { user_id, username } of the verified user, or undefined.
+ */
+const verifyEmail = (token) => db.verifyEmailToken(hashToken(token));
+
+// --- COOKIE SESSIONS ---
+
+/**
+ * Binds the login to the express-session cookie when cookie sessions are enabled.
+ * The session is regenerated first to prevent session fixation.
+ * @param {Object} req - The Express request.
+ * @param {Object} user - { userId, username }
+ * @param {string} sessionId - The login session created by issueTokens.
+ */
+const startCookieSession = (req, user, sessionId) => {
+    if (!req.session) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((err) => {
+            if (err) return reject(err);
+            req.session.userId = user.userId;
+            req.session.username = user.username;
+            req.session.sid = sessionId;
+            resolve();
+        });
+    });
+};
+
+const endCookieSession = (req) => {
+    if (!req.session) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => req.session.destroy(() => resolve()));
+};
+
+// --- MIDDLEWARE ---
+
+/**
+ * Resolves the caller from a Bearer access token or, failing that, the cookie session,
+ * and exposes it as req.user. Routes must use req.user rather than any userId in the body.
+ */
+const requireAuth = async (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme === 'Bearer' && token) {
+        const user = verifyAccessToken(token);
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired access token.' });
+        }
+        try {
+            // An access token stays valid until it expires, so check its session was not revoked
+            // since (logout, password reset, suspension).
+            if (!(await db.isSessionActive(user.sessionId))) {
+                return res.status(401).json({ success: false, message: 'Session has ended.' });
+            }
+        } catch (error) {
+            console.error('Session lookup error:', error);
+            return res.status(500).json({ success: false, message: 'Server error.' });
+        }
+        req.user = user;
+        return next();
+    }
+
+    if (req.session && req.session.userId) {
+        try {
+            // Cookie sessions are long-lived, so check they were not revoked by a logout elsewhere.
+            if (await db.isSessionActive(req.session.sid)) {
+                req.user = { userId: req.session.userId, username: req.session.username, sessionId: req.session.sid };
+                return next();
+            }
+            await endCookieSession(req);
+        } catch (error) {
+            console.error('Session lookup error:', error);
+            return res.status(500).json({ success: false, message: 'Server error.' });
+        }
+    }
+
+    res.status(401).json({ success: false, message: 'Authentication required.' });
+};
+
+/**
+ * For routes an account may only use once its email is verified (posting, messaging,
+ * following, uploads). Must run after requireAuth. The state is read from the database
+ * rather than the access token, so verifying takes effect immediately.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        const status = await db.getEmailVerificationStatus(req.user.userId);
+        if (status && status.verified) {
+            return next();
+        }
+        res.status(403).json({ success: false, code: 'EMAIL_NOT_VERIFIED', message: 'Please verify your email address first.' });
+    } catch (error) {
+        console.error('Email verification lookup error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+};
+
+/**
+ * For admin-only routes (moderation). Must run after requireAuth. Like the email check, the
+ * role is read from the database, so granting or revoking admin takes effect immediately.
+ */
+const requireAdmin = async (req, res, next) => {
+    try {
+        const account = await db.getUserRole(req.user.userId);
+        if (account && account.role === 'admin') {
+            return next();
+        }
+        res.status(403).json({ success: false, message: 'Admin access required.' });
+    } catch (error) {
+        console.error('Role lookup error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+};
+
+/**
+ * Socket.IO middleware: validates the handshake credential before the connection is accepted
+ * and binds the user to socket.data.user. Clients pass the access token as
+ * io({ auth: { token } }); cookie sessions are read from socket.request.session.
+ */
+const authenticateSocket = async (socket, next) => {
+    const unauthorized = (message) => {
+        const err = new Error(message);
+        err.data = { code: 'UNAUTHORIZED' };
+        return err;
+    };
+
+    // The credential names the user and session; the username is read from the database, since
+    // the token's or session's copy predates any rename made on another device
+    let credential = null;
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (token) {
+        const user = verifyAccessToken(token);
+        if (!user) {
+            return next(unauthorized('Invalid or expired access token.'));
+        }
+        credential = { userId: user.userId, sessionId: user.sessionId };
+    } else if (socket.request.session && socket.request.session.userId) {
+        credential = { userId: socket.request.session.userId, sessionId: socket.request.session.sid };
+    }
+    if (!credential) {
+        return next(unauthorized('Authentication required.'));
+    }
+
+    try {
+        // A socket outlives its access token, so a revoked session (logout, password reset,
+        // suspension) must not be able to reconnect with a token that has not expired yet.
+        if (!(await db.isSessionActive(credential.sessionId))) {
+            return next(unauthorized(token ? 'Session has ended.' : 'Authentication required.'));
+        }
+        const account = await db.findUserById(credential.userId);
+        if (!account) {
+            return next(unauthorized('Account not found.'));
+        }
+        socket.data.user = { ...credential, username: account.username };
+    } catch (error) {
+        console.error('Socket session lookup error:', error);
+        return next(new Error('Server error.'));
+    }
+    next();
+};
+
+
+// --- MODULE EXPORTS ---
+module.exports = {
+    hashToken,
+    signAccessToken,
+    verifyAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    createPasswordResetToken,
+    resetPassword,
+    createEmailVerificationToken,
+    verifyEmail,
+    startCookieSession,
+    endCookieSession,
+    requireAuth,
+    requireVerifiedEmail,
+    requireAdmin,
+    authenticateSocket,
+};
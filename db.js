@@ -1,66 +1,131 @@
-// --- Dependencies ---
-const mysql = require('mysql2/promise'); // Using mysql2/promise for better async support
-
-// --- DATABASE CONFIGURATION ---
-// Configuration is set to RELY ENTIRELY on Environment Variables (process.env).
-// The application will crash if the necessary variables are not set at runtime.
-const pool = mysql.createPool({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME,
-    // Ensure the port is parsed as an integer
-    port: process.env.DB_PORT ? parseInt(process.env.DB_PORT) : undefined,
-
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-});
+// --- STORAGE DRIVER ---
+// Every query goes through a driver chosen by DB_DRIVER: "mysql" (the default, configured by the
+// DB_* variables) or "sqlite" (an embedded file at SQLITE_PATH, for running the server without a
+// database server). A driver (see drivers/) provides:
+//   dialect                       'mysql' or 'sqlite'
+//   execute(sql, params)          Rows for a SELECT, otherwise { affectedRows, insertId }
+//   transaction(work)             Runs async work(txExecute) in a transaction
+//   close()                       Releases the connection(s)
+//   insertIgnore                  "INSERT" that skips rows with a duplicate key
+//   upsert(keyColumns, columns)   Clause following an INSERT that overwrites columns on a duplicate key
+//   textMatch(column, terms)      { clause, params, score, scoreParams } for word search
+// Queries in this file stick to SQL both dialects understand and use these for the rest.
+const DRIVERS = {
+    mysql: () => require('./drivers/mysql'),
+    sqlite: () => require('./drivers/sqlite')
+};
 
-console.log('Database connection pool initialized.');
+const driverName = process.env.DB_DRIVER || 'mysql';
+if (!DRIVERS[driverName]) {
+    throw new Error(`Unknown DB_DRIVER "${driverName}"; expected one of: ${Object.keys(DRIVERS).join(', ')}.`);
+}
+const driver = DRIVERS[driverName]().createDriver();
+
+console.log(`Database driver initialized (${driver.dialect}).`);
 
 // --- CORE UTILITY FUNCTION ---
 
+const logQueryError = (error, sql, params) => {
+    console.error("Database Query Error:", error.code, error.sqlMessage || error.message);
+    console.error("SQL:", sql);
+    console.error("Params:", params);
+};
+
 /**
- * Executes a raw SQL query using the connection pool.
+ * Executes a raw SQL query with the configured driver.
  * @param {string} sql - The SQL query string.
  * @param {Array} params - Parameters to be safely escaped by the database.
  * @returns {Promise<Array>} The query result rows.
  */
 const query = async (sql, params) => {
     try {
-        const [rows] = await pool.execute(sql, params);
-        return rows;
+        return await driver.execute(sql, params);
     } catch (error) {
         // Log the full error internally, but rethrow a generic error
-        console.error("Database Query Error:", error.code, error.sqlMessage);
-        console.error("SQL:", sql);
-        console.error("Params:", params);
-        throw new Error('Could not execute database query.');
+        logQueryError(error, sql, params);
+        // Keep the error code so callers can still tell e.g. ER_DUP_ENTRY apart (both drivers report it)
+        throw Object.assign(new Error('Could not execute database query.'), { code: error.code });
+    }
+};
+
+/**
+ * Runs several queries in one transaction. The callback receives a query function with the
+ * same signature as query(); the transaction is rolled back if the callback throws.
+ * @param {Function} work - async (txQuery) => result
+ * @returns {Promise<*>} Whatever the callback returns.
+ */
+const withTransaction = async (work) => driver.transaction(async (txExecute) => {
+    const txQuery = async (sql, params) => {
+        try {
+            return await txExecute(sql, params);
+        } catch (error) {
+            logQueryError(error, sql, params);
+            throw Object.assign(new Error('Could not execute database query.'), { code: error.code });
+        }
+    };
+    return work(txQuery);
+});
+
+/**
+ * Builds the keyset condition for pages ordered by (created_at, id), newest first by default.
+ * @param {string} createdAtColumn - Qualified created_at column, e.g. 'p.created_at'.
+ * @param {string} idColumn - Qualified primary key column used as tie-breaker.
+ * @param {Object|null} cursor - { createdAt, id } of the last row already seen, or null for the first page.
+ * @param {'desc'|'asc'} [direction] - 'asc' pages forwards in time (oldest first).
+ * @returns {Object} { clause, params }
+ */
+const keysetCondition = (createdAtColumn, idColumn, cursor, direction = 'desc') => {
+    if (!cursor) {
+        return { clause: '1 = 1', params: [] };
     }
+    const op = direction === 'asc' ? '>' : '<';
+    return {
+        clause: `(${createdAtColumn} ${op} ? OR (${createdAtColumn} = ? AND ${idColumn} ${op} ?))`,
+        params: [cursor.createdAt, cursor.createdAt, cursor.id]
+    };
 };
 
+/**
+ * Builds a "(?, ?, ...)" placeholder list for an IN clause.
+ */
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Closes the database connections so a command-line script (migrate.js, seed.js) can exit.
+ */
+const closePool = () => driver.close();
+
 // --- USER MANAGEMENT FUNCTIONS ---
 
 const findUserByEmail = async (email) => {
     // FIX: Selecting 'user_id' instead of the non-existent 'id'
-    const rows = await query('SELECT user_id, password_hash, username FROM users WHERE email = ?', [email]);
+    const rows = await query(
+        `SELECT user_id, email, password_hash, username, profile_pic_url, email_verified_at, role, suspended_until
+         FROM users WHERE email = ?`,
+        [email]
+    );
     return rows[0]; // Returns the first user or undefined
 };
 
-const createUser = async (userId, email, passwordHash, username) => {
+const findUserById = async (userId) => {
+    const rows = await query('SELECT user_id, username, profile_pic_url FROM users WHERE user_id = ?', [userId]);
+    return rows[0];
+};
+
+const createUser = async (userId, email, passwordHash, username, profilePicUrl = null) => {
     // FIX: Explicitly inserting the pre-generated 'user_id' UUID
     const result = await query(
-        'INSERT INTO users (user_id, email, password_hash, username) VALUES (?, ?, ?, ?)',
-        [userId, email, passwordHash, username]
+        'INSERT INTO users (user_id, email, password_hash, username, profile_pic_url) VALUES (?, ?, ?, ?, ?)',
+        [userId, email, passwordHash, username, profilePicUrl]
     );
     return result.affectedRows > 0;
 };
 
 /**
  * NEW: Saves a password reset token for a user with a 1-hour expiry.
+ * Only the token's SHA-256 digest is stored (see auth.hashToken), like refresh tokens.
  */
-const savePasswordResetToken = async (userId, token) => {
+const savePasswordResetToken = async (userId, tokenHash) => {
     // Set expiry to 1 hour from now (in MySQL DATETIME format)
     const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' ');
 
@@ -68,8 +133,8 @@ const savePasswordResetToken = async (userId, token) => {
     await query('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
 
     const result = await query(
-        'INSERT INTO password_reset_tokens (user_id, token, expires_at) VALUES (?, ?, ?)',
-        [userId, token, expiresAt]
+        'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [userId, tokenHash, expiresAt]
     );
     return result.affectedRows > 0;
 };
@@ -77,15 +142,15 @@ const savePasswordResetToken = async (userId, token) => {
 /**
  * NEW: Finds a user associated with a valid (non-expired) token.
  */
-const findUserByToken = async (token) => {
-    // Joins users and reset tokens, checks if the token is not expired (expires_at > NOW())
+const findUserByToken = async (tokenHash) => {
+    // Joins users and reset tokens, checks if the token is not expired (expires_at > CURRENT_TIMESTAMP)
     const sql = `
         SELECT u.user_id, u.username, u.email
         FROM users u
         JOIN password_reset_tokens prt ON u.user_id = prt.user_id
-        WHERE prt.token = ? AND prt.expires_at > NOW()
+        WHERE prt.token_hash = ? AND prt.expires_at > CURRENT_TIMESTAMP
     `;
-    const rows = await query(sql, [token]);
+    const rows = await query(sql, [tokenHash]);
     return rows[0]; // Returns user data if found and token is valid
 };
 
@@ -103,178 +168,2286 @@ const updateUserPassword = async (userId, newHashedPassword) => {
 /**
  * NEW: Deletes a token (marks it as used/invalidates it).
  */
-const deletePasswordResetToken = async (token) => {
-    const result = await query('DELETE FROM password_reset_tokens WHERE token = ?', [token]);
+const deletePasswordResetToken = async (tokenHash) => {
+    const result = await query('DELETE FROM password_reset_tokens WHERE token_hash = ?', [tokenHash]);
     return result.affectedRows > 0;
 };
 
-// --- POST AND INTERACTION FUNCTIONS ---
+// --- EMAIL VERIFICATION ---
+// New accounts start unverified (users.email_verified_at IS NULL) until the link emailed at
+// signup is opened. As with reset tokens, only token digests are stored.
 
-const createPost = async (postId, userId, username, content, mediaUrl) => {
-    // FIX: Explicitly inserting the pre-generated 'id' UUID
+/**
+ * Replaces any pending verification token of the user.
+ */
+const saveEmailVerificationToken = async (userId, tokenHash, ttlMs) => {
+    await query('DELETE FROM email_verification_tokens WHERE user_id = ?', [userId]);
+    const result = await query(
+        'INSERT INTO email_verification_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+        [tokenHash, userId, new Date(Date.now() + ttlMs)]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * @returns {Promise<Date|null>} When the user's pending verification token was issued, if any.
+ */
+const getEmailVerificationSentAt = async (userId) => {
+    const rows = await query('SELECT created_at FROM email_verification_tokens WHERE user_id = ?', [userId]);
+    return rows[0] ? rows[0].created_at : null;
+};
+
+/**
+ * Verifies the email of the user a valid token belongs to, consuming the token.
+ * @returns {Promise<Object|undefined>} { user_id, username } or undefined if the token is unknown or expired.
+ */
+const verifyEmailToken = async (tokenHash) => {
+    const rows = await query(
+        `SELECT u.user_id, u.username
+         FROM email_verification_tokens evt
+         JOIN users u ON u.user_id = evt.user_id
+         WHERE evt.token_hash = ? AND evt.expires_at > CURRENT_TIMESTAMP`,
+        [tokenHash]
+    );
+    if (rows[0]) {
+        await markEmailVerified(rows[0].user_id);
+    }
+    return rows[0];
+};
+
+/**
+ * Marks the user's email as verified (a completed password reset also proves it) and
+ * drops their pending verification tokens.
+ */
+const markEmailVerified = async (userId) => {
+    await query('UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE user_id = ?', [userId]);
+    await query('DELETE FROM email_verification_tokens WHERE user_id = ?', [userId]);
+};
+
+const getEmailVerificationStatus = async (userId) => {
+    const rows = await query('SELECT email, username, email_verified_at FROM users WHERE user_id = ?', [userId]);
+    return rows[0] ? { email: rows[0].email, username: rows[0].username, verified: rows[0].email_verified_at !== null } : undefined;
+};
+
+// --- AUTH SESSIONS (REFRESH TOKENS) ---
+// Every login starts a session (session_id); each refresh rotates the token within that session.
+
+const saveRefreshToken = async (tokenHash, sessionId, userId, ttlMs) => {
+    const expiresAt = new Date(Date.now() + ttlMs).toISOString().slice(0, 19).replace('T', ' ');
     const result = await query(
-        'INSERT INTO posts (id, user_id, username, content, media_url) VALUES (?, ?, ?, ?, ?)',
-        [postId, userId, username, content, mediaUrl]
+        'INSERT INTO refresh_tokens (token_hash, session_id, user_id, expires_at) VALUES (?, ?, ?, ?)',
+        [tokenHash, sessionId, userId, expiresAt]
     );
     return result.affectedRows > 0;
 };
 
-const getAllPosts = async () => {
+const findRefreshToken = async (tokenHash) => {
     const sql = `
-        SELECT
-            p.id AS postId,
-            p.user_id AS userId,
-            p.username,
-            p.content,
-            p.media_url AS mediaUrl,
-            p.created_at AS timestamp,
-            (SELECT COUNT(*) FROM likes WHERE post_id = p.id) AS likeCount,
-            u.profile_pic_url AS profilePicUrl
-        FROM posts p
-        JOIN users u ON p.user_id = u.user_id
-        ORDER BY p.created_at DESC
+        SELECT user_id, session_id, revoked_at, (expires_at > CURRENT_TIMESTAMP) AS isActive
+        FROM refresh_tokens
+        WHERE token_hash = ?
     `;
-    const posts = await query(sql);
-    return posts;
+    const rows = await query(sql, [tokenHash]);
+    return rows[0];
 };
 
-const getLike = async (postId, userId) => {
-    const rows = await query('SELECT * FROM likes WHERE post_id = ? AND user_id = ?', [postId, userId]);
-    return rows[0];
+const revokeRefreshToken = async (tokenHash) => {
+    const result = await query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND revoked_at IS NULL',
+        [tokenHash]
+    );
+    return result.affectedRows > 0;
 };
 
-const addLike = async (postId, userId) => {
-    const result = await query('INSERT INTO likes (post_id, user_id) VALUES (?, ?)', [postId, userId]);
+const revokeSession = async (sessionId) => {
+    const result = await query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = ? AND revoked_at IS NULL',
+        [sessionId]
+    );
     return result.affectedRows > 0;
 };
 
-const removeLike = async (postId, userId) => {
-    const result = await query('DELETE FROM likes WHERE post_id = ? AND user_id = ?', [postId, userId]);
+const revokeAllUserSessions = async (userId) => {
+    const result = await query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
     return result.affectedRows > 0;
 };
 
-const getLikeCount = async (postId) => {
-    const rows = await query('SELECT COUNT(*) AS count FROM likes WHERE post_id = ?', [postId]);
-    return rows[0] ? rows[0].count : 0;
+const isSessionActive = async (sessionId) => {
+    const rows = await query(
+        'SELECT 1 FROM refresh_tokens WHERE session_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP LIMIT 1',
+        [sessionId]
+    );
+    return rows.length > 0;
 };
 
-const addComment = async (postId, userId, username, commentText) => {
+// --- POST AND INTERACTION FUNCTIONS ---
+
+/**
+ * The username copy is taken from users, not from the caller's token or session, which may
+ * still carry a name changed since on another device.
+ * @param {Object|null} media - { url, thumbnailUrl, width, height, placeholder } from the upload pipeline.
+ * @returns {Promise<boolean>} false if the user does not exist.
+ */
+const createPost = async (postId, userId, content, media) => {
+    const m = media || {};
+    // FIX: Explicitly inserting the pre-generated 'id' UUID
     const result = await query(
-        'INSERT INTO comments (post_id, user_id, username, comment_text) VALUES (?, ?, ?, ?)',
-        [postId, userId, username, commentText]
+        `INSERT INTO posts (id, user_id, username, content, media_url, media_thumbnail_url, media_width, media_height, media_placeholder)
+         SELECT ?, user_id, username, ?, ?, ?, ?, ?, ? FROM users WHERE user_id = ?`,
+        [postId, content || null, m.url || null, m.thumbnailUrl || null, m.width || null, m.height || null, m.placeholder || null, userId]
     );
     return result.affectedRows > 0;
 };
 
-const getCommentsForPost = async (postId) => {
+// Columns shared by every query that returns posts for the feed. The author's username comes
+// from users: posts.username is only a copy taken when the post was written.
+// Posts hidden or removed by a moderator are left out of every query built on POST_SELECT
+const VISIBLE_POST = 'p.hidden_at IS NULL AND p.removed_at IS NULL';
+
+const POST_SELECT = `
+    SELECT
+        p.id AS postId,
+        p.user_id AS userId,
+        u.username,
+        p.content,
+        p.media_url AS mediaUrl,
+        p.media_thumbnail_url AS mediaThumbnailUrl,
+        p.media_width AS mediaWidth,
+        p.media_height AS mediaHeight,
+        p.media_placeholder AS mediaPlaceholder,
+        p.created_at AS timestamp,
+        p.edited_at AS editedAt,
+        u.profile_pic_url AS profilePicUrl
+    FROM posts p
+    JOIN users u ON p.user_id = u.user_id
+`;
+
+/**
+ * Adds likeCount and commentCount to a list of posts with one batched query each.
+ */
+const withCounts = async (posts) => {
+    const postIds = posts.map(p => p.postId);
+    const [likeCounts, commentCounts] = await Promise.all([getLikeCounts(postIds), getCommentCounts(postIds)]);
+    return posts.map(p => ({
+        ...p,
+        likeCount: likeCounts[p.postId] || 0,
+        commentCount: commentCounts[p.postId] || 0
+    }));
+};
+
+/**
+ * Returns one page of the feed, newest first, using a keyset cursor.
+ * Counts are fetched in batched queries, so a page always costs a constant number of queries.
+ * @param {Object} [options]
+ * @param {Object|null} [options.before] - Decoded cursor { createdAt, id } of the last post already seen.
+ * @param {number} [options.limit] - Maximum number of posts to return.
+ * @param {string} [options.followedBy] - Only posts by users this user follows (and their own): the "Following" timeline.
+ * @param {string} [options.viewerId] - Leave out authors the viewer blocked, muted or is blocked by.
+ * @param {string} [options.authorId] - Only posts by this user: the grid of a profile page.
+ */
+const getAllPosts = async ({ before = null, limit = 20, followedBy = null, viewerId = null, authorId = null } = {}) => {
+    const keyset = keysetCondition('p.created_at', 'p.id', before);
+    const hidden = hiddenAuthorCondition('p.user_id', viewerId);
+    const params = [...keyset.params, ...hidden.params];
+    let followFilter = '';
+    if (followedBy) {
+        followFilter = 'AND (p.user_id = ? OR p.user_id IN (SELECT followee_id FROM follows WHERE follower_id = ?))';
+        params.push(followedBy, followedBy);
+    }
+    if (authorId) {
+        followFilter += ' AND p.user_id = ?';
+        params.push(authorId);
+    }
     const sql = `
-        SELECT
-            c.comment_id,
-            c.user_id AS userId,
-            c.username,
-            c.comment_text AS text,
-            c.created_at AS timestamp,
-            u.profile_pic_url AS profilePicUrl
-        FROM comments c
-        JOIN users u ON c.user_id = u.user_id
-        WHERE c.post_id = ?
-        ORDER BY c.created_at ASC
+        ${POST_SELECT}
+        WHERE ${VISIBLE_POST} AND ${keyset.clause} AND ${hidden.clause} ${followFilter}
+        ORDER BY p.created_at DESC, p.id DESC
+        LIMIT ?
     `;
-    return await query(sql, [postId]);
+    // LIMIT is bound as a string: MySQL 8 rejects numeric LIMIT parameters in prepared statements
+    const posts = await query(sql, [...params, String(limit)]);
+    return withCounts(posts);
 };
 
-// --- PROFILE MANAGEMENT ---
+/**
+ * Returns a single post, or undefined if it does not exist or has been removed.
+ * @param {string} [viewerId] - Treat the post as missing if its author and the viewer have
+ *   blocked each other (muting does not hide a post opened directly).
+ */
+const getPostById = async (postId, viewerId = null) => {
+    const hidden = hiddenAuthorCondition('p.user_id', viewerId, { mutes: false });
+    const rows = await query(`${POST_SELECT} WHERE p.id = ? AND ${VISIBLE_POST} AND ${hidden.clause}`, [postId, ...hidden.params]);
+    return rows[0];
+};
 
-const getUserProfilePic = async (userId) => {
-    const rows = await query('SELECT profile_pic_url FROM users WHERE user_id = ?', [userId]);
-    return rows[0] ? rows[0].profile_pic_url : null;
+/**
+ * Replaces the text of a post, keeping the previous text in post_edits.
+ * @returns {Promise<boolean>} false if the post does not exist.
+ */
+const updatePost = async (postId, content) => {
+    return withTransaction(async (txQuery) => {
+        const rows = await txQuery('SELECT content, created_at, edited_at FROM posts WHERE id = ?', [postId]);
+        if (rows.length === 0) {
+            return false;
+        }
+        const previous = rows[0];
+        await txQuery(
+            'INSERT INTO post_edits (post_id, content, written_at) VALUES (?, ?, ?)',
+            [postId, previous.content, previous.edited_at || previous.created_at]
+        );
+        await txQuery('UPDATE posts SET content = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?', [content || null, postId]);
+        return true;
+    });
 };
 
-const updateUserProfilePic = async (userId, url) => {
-    const result = await query('UPDATE users SET profile_pic_url = ? WHERE user_id = ?', [url, userId]);
-    return result.affectedRows > 0;
+/**
+ * The earlier texts of an edited post, newest first.
+ * @returns {Promise<Array<Object>>} [{ content, writtenAt, replacedAt }]
+ */
+const getPostEdits = async (postId) => {
+    return query(
+        `SELECT content, written_at AS writtenAt, replaced_at AS replacedAt
+         FROM post_edits WHERE post_id = ?
+         ORDER BY edit_id DESC`,
+        [postId]
+    );
 };
 
+/**
+ * Deletes a post for good. Its comments, hashtags, mentions, notifications and edit history
+ * go with it through their foreign keys; reactions have none, so they are deleted here.
+ * @returns {Promise<boolean>} false if the post did not exist.
+ */
+const deletePost = async (postId) => {
+    return withTransaction(async (txQuery) => {
+        await txQuery("DELETE FROM reactions WHERE target_type = 'post' AND target_id = ?", [postId]);
+        const result = await txQuery('DELETE FROM posts WHERE id = ?', [postId]);
+        return result.affectedRows > 0;
+    });
+};
 
-// --- REAL-TIME USERS AND CHAT ---
+/**
+ * Returns the candidate posts for the ranked "For You" timeline: everything posted
+ * in the window (since, asOf], newest first, with like and comment counts.
+ */
+const getRankingCandidates = async (since, asOf, limit, viewerId = null) => {
+    const hidden = hiddenAuthorCondition('p.user_id', viewerId);
+    const sql = `
+        ${POST_SELECT}
+        WHERE p.created_at > ? AND p.created_at <= ? AND ${VISIBLE_POST} AND ${hidden.clause}
+        ORDER BY p.created_at DESC, p.id DESC
+        LIMIT ?
+    `;
+    const posts = await query(sql, [since, asOf, ...hidden.params, String(limit)]);
+    return withCounts(posts);
+};
+
+// --- REACTIONS ---
+// Emoji reactions on posts and private messages. A user may add several different emoji to
+// the same target, each at most once. A post "like" is the ❤️ reaction, so the like functions
+// below are kept as thin wrappers for existing callers.
 
-const registerOnlineUser = async (userId, username, socketId) => {
-    // Upsert logic: Delete if exists, then insert.
-    await query('DELETE FROM online_users WHERE userId = ?', [userId]);
+const LIKE_EMOJI = '❤️';
+
+/**
+ * Idempotent: adding a reaction that already exists changes nothing.
+ * @param {'post'|'message'} targetType
+ * @returns {Promise<boolean>} true if the reaction was newly added.
+ */
+const addReaction = async (targetType, targetId, userId, emoji) => {
     const result = await query(
-        'INSERT INTO online_users (userId, username, socketId) VALUES (?, ?, ?)',
-        [userId, username, socketId]
+        `${driver.insertIgnore} INTO reactions (target_type, target_id, user_id, emoji) VALUES (?, ?, ?, ?)`,
+        [targetType, String(targetId), userId, emoji]
     );
     return result.affectedRows > 0;
 };
 
-const unregisterOnlineUser = async (socketId) => {
-    const result = await query('DELETE FROM online_users WHERE socketId = ?', [socketId]);
+const removeReaction = async (targetType, targetId, userId, emoji) => {
+    const result = await query(
+        'DELETE FROM reactions WHERE target_type = ? AND target_id = ? AND user_id = ? AND emoji = ?',
+        [targetType, String(targetId), userId, emoji]
+    );
     return result.affectedRows > 0;
 };
 
-const getOnlineUsers = async () => {
-    // FIX: Select userId instead of id to match schema/client
-    return await query('SELECT userId, username FROM online_users');
+const hasReaction = async (targetType, targetId, userId, emoji) => {
+    const rows = await query(
+        'SELECT 1 FROM reactions WHERE target_type = ? AND target_id = ? AND user_id = ? AND emoji = ?',
+        [targetType, String(targetId), userId, emoji]
+    );
+    return rows.length > 0;
 };
 
+/**
+ * Batched per-emoji reaction counts for a set of targets, most used emoji first.
+ * @param {string|null} [viewerId] - When given, each entry also says whether the viewer used that emoji.
+ * @returns {Promise<Object>} Map of targetId -> [{ emoji, count, reactedByMe }]
+ */
+const getReactionSummaries = async (targetType, targetIds, viewerId = null) => {
+    if (targetIds.length === 0) {
+        return {};
+    }
+    const ids = targetIds.map(String);
+    const rows = await query(
+        `SELECT target_id, emoji, COUNT(*) AS count, MAX(user_id = ?) AS reactedByMe
+         FROM reactions
+         WHERE target_type = ? AND target_id IN (${placeholders(ids)})
+         GROUP BY target_id, emoji
+         ORDER BY count DESC, MIN(created_at) ASC`,
+        [viewerId, targetType, ...ids]
+    );
+    const summaries = {};
+    rows.forEach(r => {
+        (summaries[r.target_id] = summaries[r.target_id] || []).push({
+            emoji: r.emoji,
+            count: Number(r.count),
+            reactedByMe: Boolean(Number(r.reactedByMe))
+        });
+    });
+    return summaries;
+};
 
-// PRIVATE MESSAGES
-const savePrivateMessage = async (senderId, recipientId, message) => {
+/**
+ * Returns a page of the users who reacted to a target, oldest reaction first.
+ * @param {string|null} emoji - Restrict to one emoji, or null for all.
+ * @param {Object} [options] - { after, limit }; the cursor id is the reacting user's id.
+ */
+const getReactors = async (targetType, targetId, emoji, { after = null, limit = 20 } = {}) => {
+    const keyset = keysetCondition('r.created_at', 'r.user_id', after, 'asc');
+    const emojiFilter = emoji ? 'AND r.emoji = ?' : '';
+    const sql = `
+        SELECT
+            u.user_id AS userId,
+            u.username,
+            u.profile_pic_url AS profilePicUrl,
+            r.emoji,
+            r.created_at AS reactedAt
+        FROM reactions r
+        JOIN users u ON u.user_id = r.user_id
+        WHERE r.target_type = ? AND r.target_id = ? ${emojiFilter} AND ${keyset.clause}
+        ORDER BY r.created_at ASC, r.user_id ASC
+        LIMIT ?
+    `;
+    const params = [targetType, String(targetId), ...(emoji ? [emoji] : []), ...keyset.params, String(limit)];
+    return await query(sql, params);
+};
+
+const getLike = async (postId, userId) => hasReaction('post', postId, userId, LIKE_EMOJI);
+
+const addLike = async (postId, userId) => addReaction('post', postId, userId, LIKE_EMOJI);
+
+const removeLike = async (postId, userId) => removeReaction('post', postId, userId, LIKE_EMOJI);
+
+const getLikeCount = async (postId) => {
+    const counts = await getLikeCounts([postId]);
+    return counts[postId] || 0;
+};
+
+/**
+ * Batched like (❤️ reaction) counts for a set of posts.
+ * @returns {Promise<Object>} Map of postId -> count (posts without likes are omitted).
+ */
+const getLikeCounts = async (postIds) => {
+    if (postIds.length === 0) {
+        return {};
+    }
+    const rows = await query(
+        `SELECT target_id, COUNT(*) AS count FROM reactions
+         WHERE target_type = 'post' AND emoji = ? AND target_id IN (${placeholders(postIds)})
+         GROUP BY target_id`,
+        [LIKE_EMOJI, ...postIds]
+    );
+    return Object.fromEntries(rows.map(r => [r.target_id, Number(r.count)]));
+};
+
+// Comments form threads through parent_id. Deleted comments are soft-deleted (deleted_at) so
+// their replies keep their place; their text is never returned.
+
+/**
+ * As for posts, the username copy is taken from users.
+ * @param {number|null} [parentId] - The comment being replied to, or null for a top-level comment.
+ * @returns {Promise<number>} The new comment_id.
+ */
+const addComment = async (postId, userId, commentText, parentId = null) => {
+    const result = await query(
+        `INSERT INTO comments (post_id, parent_id, user_id, username, comment_text)
+         SELECT ?, ?, user_id, username, ? FROM users WHERE user_id = ?`,
+        [postId, parentId, commentText, userId]
+    );
+    return result.insertId;
+};
+
+/**
+ * Batched comment counts for a set of posts, excluding deleted comments.
+ * @returns {Promise<Object>} Map of postId -> count (posts without comments are omitted).
+ */
+const getCommentCounts = async (postIds) => {
+    if (postIds.length === 0) {
+        return {};
+    }
+    const rows = await query(
+        `SELECT post_id, COUNT(*) AS count FROM comments
+         WHERE post_id IN (${placeholders(postIds)}) AND deleted_at IS NULL AND hidden_at IS NULL
+         GROUP BY post_id`,
+        postIds
+    );
+    return Object.fromEntries(rows.map(r => [r.post_id, Number(r.count)]));
+};
+
+const getCommentCount = async (postId) => {
+    const counts = await getCommentCounts([postId]);
+    return counts[postId] || 0;
+};
+
+// Columns shared by the comment queries; the text of a deleted or hidden comment is blanked in SQL.
+// As for posts, the username is read from users rather than the comments.username copy.
+const COMMENT_SELECT = `
+    SELECT
+        c.comment_id AS commentId,
+        c.post_id AS postId,
+        c.parent_id AS parentId,
+        c.user_id AS userId,
+        u.username,
+        CASE WHEN c.deleted_at IS NULL AND c.hidden_at IS NULL THEN c.comment_text ELSE NULL END AS text,
+        c.created_at AS timestamp,
+        c.edited_at AS editedAt,
+        (c.deleted_at IS NOT NULL OR c.hidden_at IS NOT NULL) AS isDeleted,
+        u.profile_pic_url AS profilePicUrl
+    FROM comments c
+    JOIN users u ON c.user_id = u.user_id
+`;
+
+/**
+ * Batched reply counts, used to show "View replies (n)" without loading the replies.
+ * @returns {Promise<Object>} Map of commentId -> count.
+ */
+const getReplyCounts = async (commentIds) => {
+    if (commentIds.length === 0) {
+        return {};
+    }
+    const rows = await query(
+        `SELECT parent_id, COUNT(*) AS count FROM comments WHERE parent_id IN (${placeholders(commentIds)}) GROUP BY parent_id`,
+        commentIds
+    );
+    return Object.fromEntries(rows.map(r => [r.parent_id, Number(r.count)]));
+};
+
+/**
+ * Returns one page of a comment thread, oldest first.
+ * @param {string} postId
+ * @param {Object} [options]
+ * @param {number|null} [options.parentId] - List the replies to this comment; null lists top-level comments.
+ * @param {Object|null} [options.after] - Decoded cursor { createdAt, id } of the last comment already seen.
+ * @param {number} [options.limit]
+ * @param {string} [options.viewerId] - Leave out comments by users the viewer blocked or is blocked by.
+ */
+const getCommentsForPost = async (postId, { parentId = null, after = null, limit = 20, viewerId = null } = {}) => {
+    const keyset = keysetCondition('c.created_at', 'c.comment_id', after, 'asc');
+    const hidden = hiddenAuthorCondition('c.user_id', viewerId, { mutes: false });
+    const parentFilter = parentId === null ? 'c.parent_id IS NULL' : 'c.parent_id = ?';
+    const sql = `
+        ${COMMENT_SELECT}
+        WHERE c.post_id = ? AND ${parentFilter} AND ${keyset.clause} AND ${hidden.clause}
+        ORDER BY c.created_at ASC, c.comment_id ASC
+        LIMIT ?
+    `;
+    const params = parentId === null ? [postId] : [postId, parentId];
+    const comments = await query(sql, [...params, ...keyset.params, ...hidden.params, String(limit)]);
+
+    const replyCounts = await getReplyCounts(comments.map(c => c.commentId));
+    return comments.map(c => ({ ...c, isDeleted: Boolean(c.isDeleted), replyCount: replyCounts[c.commentId] || 0 }));
+};
+
+/**
+ * Returns a single comment, including the id of the post's author (for delete permissions).
+ */
+const getCommentById = async (commentId) => {
+    const sql = `
+        SELECT comment.*, p.user_id AS postOwnerId
+        FROM (${COMMENT_SELECT} WHERE c.comment_id = ?) AS comment
+        JOIN posts p ON p.id = comment.postId
+    `;
+    const rows = await query(sql, [commentId]);
+    return rows[0] ? { ...rows[0], isDeleted: Boolean(rows[0].isDeleted) } : undefined;
+};
+
+const updateComment = async (commentId, commentText) => {
+    const result = await query(
+        'UPDATE comments SET comment_text = ?, edited_at = CURRENT_TIMESTAMP WHERE comment_id = ? AND deleted_at IS NULL',
+        [commentText, commentId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Blanks a comment and drops its hashtags and mentions.
+ */
+const softDeleteComment = async (commentId, deletedBy) => {
+    const result = await query(
+        'UPDATE comments SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE comment_id = ? AND deleted_at IS NULL',
+        [deletedBy, commentId]
+    );
+    if (result.affectedRows === 0) {
+        return false;
+    }
+    await deleteContentEntities('comment', commentId);
+    return true;
+};
+
+// --- FOLLOW GRAPH ---
+
+/**
+ * Idempotent: following someone twice keeps a single row.
+ * @returns {Promise<boolean>} true if a new follow was created.
+ */
+const followUser = async (followerId, followeeId) => {
     const result = await query(
-        'INSERT INTO messages (sender_id, recipient_id, message_text) VALUES (?, ?, ?)',
-        [senderId, recipientId, message]
+        `${driver.insertIgnore} INTO follows (follower_id, followee_id) VALUES (?, ?)`,
+        [followerId, followeeId]
     );
     return result.affectedRows > 0;
 };
 
-const getChatHistory = async (senderId, recipientId) => {
-    // FIX: Selecting message_id and created_at to match schema
+const unfollowUser = async (followerId, followeeId) => {
+    const result = await query('DELETE FROM follows WHERE follower_id = ? AND followee_id = ?', [followerId, followeeId]);
+    return result.affectedRows > 0;
+};
+
+const isFollowing = async (followerId, followeeId) => {
+    const rows = await query('SELECT 1 FROM follows WHERE follower_id = ? AND followee_id = ?', [followerId, followeeId]);
+    return rows.length > 0;
+};
+
+const getFollowCounts = async (userId) => {
+    const sql = `
+        SELECT
+            (SELECT COUNT(*) FROM follows WHERE followee_id = ?) AS followerCount,
+            (SELECT COUNT(*) FROM follows WHERE follower_id = ?) AS followingCount
+    `;
+    const rows = await query(sql, [userId, userId]);
+    return { followerCount: Number(rows[0].followerCount), followingCount: Number(rows[0].followingCount) };
+};
+
+/**
+ * Returns a page of a user's followers or followees, most recent follow first.
+ * @param {string} userId
+ * @param {'followers'|'following'} direction
+ * @param {Object} [options] - { before, limit } as for getAllPosts; the cursor id is the listed user's id.
+ */
+const getFollowList = async (userId, direction, { before = null, limit = 20 } = {}) => {
+    // followers: rows where userId is followed; list the follower. following: the reverse.
+    const [matchColumn, listColumn] = direction === 'followers'
+        ? ['f.followee_id', 'f.follower_id']
+        : ['f.follower_id', 'f.followee_id'];
+    const keyset = keysetCondition('f.created_at', listColumn, before);
     const sql = `
         SELECT
-            message_id,
-            sender_id,
-            message_text AS message,
-            created_at AS timestamp
-        FROM messages
-        WHERE
-            (sender_id = ? AND recipient_id = ?) OR
-            (sender_id = ? AND recipient_id = ?)
-        ORDER BY created_at ASC
+            u.user_id AS userId,
+            u.username,
+            u.profile_pic_url AS profilePicUrl,
+            f.created_at AS followedAt
+        FROM follows f
+        JOIN users u ON u.user_id = ${listColumn}
+        WHERE ${matchColumn} = ? AND ${keyset.clause}
+        ORDER BY f.created_at DESC, ${listColumn} DESC
+        LIMIT ?
+    `;
+    return await query(sql, [userId, ...keyset.params, String(limit)]);
+};
+
+const getFollowerIds = async (userId) => {
+    const rows = await query('SELECT follower_id FROM follows WHERE followee_id = ?', [userId]);
+    return rows.map(r => r.follower_id);
+};
+
+const getFollowingIds = async (userId) => {
+    const rows = await query('SELECT followee_id FROM follows WHERE follower_id = ?', [userId]);
+    return rows.map(r => r.followee_id);
+};
+
+/**
+ * Collects the viewer's interaction signals with a set of authors, used to rank the "For You" timeline.
+ * @returns {Promise<Object>} Map of authorId -> { follows, likes, comments }
+ */
+const getAuthorAffinitySignals = async (viewerId, authorIds) => {
+    const signals = Object.fromEntries(authorIds.map(id => [id, { follows: false, likes: 0, comments: 0 }]));
+    if (authorIds.length === 0) {
+        return signals;
+    }
+    const inList = placeholders(authorIds);
+
+    const [follows, likes, comments] = await Promise.all([
+        query(`SELECT followee_id FROM follows WHERE follower_id = ? AND followee_id IN (${inList})`, [viewerId, ...authorIds]),
+        query(
+            `SELECT p.user_id, COUNT(*) AS count FROM reactions r JOIN posts p ON r.target_type = 'post' AND p.id = r.target_id
+             WHERE r.user_id = ? AND p.user_id IN (${inList}) GROUP BY p.user_id`,
+            [viewerId, ...authorIds]
+        ),
+        query(
+            `SELECT p.user_id, COUNT(*) AS count FROM comments c JOIN posts p ON p.id = c.post_id
+             WHERE c.user_id = ? AND p.user_id IN (${inList}) GROUP BY p.user_id`,
+            [viewerId, ...authorIds]
+        )
+    ]);
+
+    follows.forEach(r => { signals[r.followee_id].follows = true; });
+    likes.forEach(r => { signals[r.user_id].likes = Number(r.count); });
+    comments.forEach(r => { signals[r.user_id].comments = Number(r.count); });
+    return signals;
+};
+
+// --- BLOCKS AND MUTES ---
+// Blocking is mutual in effect: neither side sees the other's posts, comments or presence, and
+// they cannot message or follow each other. Muting only hides the muted user's posts from the
+// muter's timelines, and the muted user cannot tell.
+
+// Table, owner column and target column of each list
+const RESTRICTION_TABLES = {
+    blocks: ['user_blocks', 'blocker_id', 'blocked_id'],
+    mutes: ['user_mutes', 'muter_id', 'muted_id']
+};
+
+/**
+ * Builds the filter leaving out content whose author the viewer blocked or is blocked by, and
+ * (unless mutes is false) authors the viewer muted. Without a viewer nothing is filtered.
+ * @param {string} authorColumn - e.g. 'p.user_id'.
+ * @returns {Object} { clause, params }
+ */
+const hiddenAuthorCondition = (authorColumn, viewerId, { mutes = true } = {}) => {
+    if (!viewerId) {
+        return { clause: '1 = 1', params: [] };
+    }
+    let clause = `NOT EXISTS (
+        SELECT 1 FROM user_blocks b
+        WHERE (b.blocker_id = ? AND b.blocked_id = ${authorColumn}) OR (b.blocker_id = ${authorColumn} AND b.blocked_id = ?)
+    )`;
+    const params = [viewerId, viewerId];
+    if (mutes) {
+        clause += ` AND NOT EXISTS (SELECT 1 FROM user_mutes m WHERE m.muter_id = ? AND m.muted_id = ${authorColumn})`;
+        params.push(viewerId);
+    }
+    return { clause, params };
+};
+
+/**
+ * Blocks a user and drops the follows between the two users in both directions.
+ * @returns {Promise<boolean>} true if a new block was created.
+ */
+const blockUser = async (blockerId, blockedId) => {
+    return withTransaction(async (txQuery) => {
+        const result = await txQuery(`${driver.insertIgnore} INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)`, [blockerId, blockedId]);
+        await txQuery(
+            'DELETE FROM follows WHERE (follower_id = ? AND followee_id = ?) OR (follower_id = ? AND followee_id = ?)',
+            [blockerId, blockedId, blockedId, blockerId]
+        );
+        return result.affectedRows > 0;
+    });
+};
+
+const unblockUser = async (blockerId, blockedId) => {
+    const result = await query('DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?', [blockerId, blockedId]);
+    return result.affectedRows > 0;
+};
+
+const muteUser = async (muterId, mutedId) => {
+    const result = await query(`${driver.insertIgnore} INTO user_mutes (muter_id, muted_id) VALUES (?, ?)`, [muterId, mutedId]);
+    return result.affectedRows > 0;
+};
+
+const unmuteUser = async (muterId, mutedId) => {
+    const result = await query('DELETE FROM user_mutes WHERE muter_id = ? AND muted_id = ?', [muterId, mutedId]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * Lists the users someone blocked or muted, most recent first.
+ * @param {'blocks'|'mutes'} list
+ */
+const getRestrictedUsers = async (userId, list) => {
+    const [table, ownerColumn, targetColumn] = RESTRICTION_TABLES[list];
+    const sql = `
+        SELECT u.user_id AS userId, u.username, u.profile_pic_url AS profilePicUrl, r.created_at AS createdAt
+        FROM ${table} r
+        JOIN users u ON u.user_id = r.${targetColumn}
+        WHERE r.${ownerColumn} = ?
+        ORDER BY r.created_at DESC
     `;
-    return await query(sql, [senderId, recipientId, recipientId, senderId]);
+    return query(sql, [userId]);
+};
+
+/**
+ * @param {'blocks'|'mutes'} list
+ * @returns {Promise<boolean>} true if ownerId blocked (or muted) targetId.
+ */
+const hasRestricted = async (ownerId, targetId, list) => {
+    const [table, ownerColumn, targetColumn] = RESTRICTION_TABLES[list];
+    const rows = await query(`SELECT 1 FROM ${table} WHERE ${ownerColumn} = ? AND ${targetColumn} = ?`, [ownerId, targetId]);
+    return rows.length > 0;
+};
+
+/**
+ * @returns {Promise<boolean>} true if either user blocked the other.
+ */
+const isBlockedBetween = async (userA, userB) => {
+    const rows = await query(
+        `SELECT 1 FROM user_blocks
+         WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+         LIMIT 1`,
+        [userA, userB, userB, userA]
+    );
+    return rows.length > 0;
 };
 
-const getRecipientSocketId = async (recipientId) => {
-    const rows = await query('SELECT socketId FROM online_users WHERE userId = ?', [recipientId]);
-    return rows[0] ? rows[0].socketId : null;
+/**
+ * The users each of the given users blocked or is blocked by, in one query.
+ * @returns {Promise<Map>} userId (as a string) -> Set of user ids (as strings); users without blocks are absent.
+ */
+const getBlockedIdsForUsers = async (userIds) => {
+    const blocked = new Map();
+    if (userIds.length === 0) {
+        return blocked;
+    }
+    const rows = await query(
+        `SELECT blocker_id, blocked_id FROM user_blocks
+         WHERE blocker_id IN (${placeholders(userIds)}) OR blocked_id IN (${placeholders(userIds)})`,
+        [...userIds, ...userIds]
+    );
+    const add = (owner, other) => {
+        if (!blocked.has(owner)) blocked.set(owner, new Set());
+        blocked.get(owner).add(other);
+    };
+    rows.forEach(r => {
+        add(String(r.blocker_id), String(r.blocked_id));
+        add(String(r.blocked_id), String(r.blocker_id));
+    });
+    return blocked;
 };
 
+const getBlockedUserIds = async (userId) => {
+    const blocked = await getBlockedIdsForUsers([userId]);
+    return [...(blocked.get(String(userId)) || [])];
+};
+
+/**
+ * Ids of the users who muted someone, to keep that user's new posts out of their live feeds.
+ */
+const getMuterIds = async (userId) => {
+    const rows = await query('SELECT muter_id FROM user_mutes WHERE muted_id = ?', [userId]);
+    return rows.map(r => r.muter_id);
+};
+
+// --- SEARCH ---
+// Post and username search use the driver's textMatch: on MySQL the FULLTEXT indexes on
+// posts(content) and users(username), on SQLite a LIKE per term. InnoDB does not index words
+// shorter than innodb_ft_min_token_size (3 by default), so usernames are also prefix-matched
+// with LIKE, which keeps @-autocomplete working from the first letter.
+
+// Words (letters, digits, underscores) of a search query, in any script
+const SEARCH_TERM_PATTERN = /[\p{L}\p{N}_]+/gu;
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Splits a query into search terms; every other character (including the boolean-mode
+ * operators + - < > ( ) ~ * " @) is dropped.
+ */
+const searchTerms = (q) => (String(q).match(SEARCH_TERM_PATTERN) || []).slice(0, MAX_SEARCH_TERMS);
+
+// LIKE patterns escape with "!" (ESCAPE '!'): SQLite has no default escape character
+const escapeLike = (value) => String(value).replace(/[!%_]/g, '!$&');
+
+/**
+ * Posts matching every term, most relevant first (newest first among equals).
+ * Results are paged by offset; asOf pins the result set so new posts do not shift later pages.
+ * @param {Object} options - { asOf, offset, limit, viewerId } where viewerId applies blocks.
+ */
+const searchPosts = async (q, { asOf, offset = 0, limit = 20, viewerId = null }) => {
+    const terms = searchTerms(q);
+    if (terms.length === 0) {
+        return [];
+    }
+    const match = driver.textMatch('p.content', terms);
+    const hidden = hiddenAuthorCondition('p.user_id', viewerId, { mutes: false });
+    const sql = `
+        ${POST_SELECT}
+        WHERE ${match.clause} AND p.created_at <= ? AND ${VISIBLE_POST} AND ${hidden.clause}
+        ORDER BY ${match.score} DESC, p.created_at DESC, p.id DESC
+        LIMIT ? OFFSET ?
+    `;
+    const posts = await query(sql, [...match.params, asOf, ...hidden.params, ...match.scoreParams, String(limit), String(offset)]);
+    return withCounts(posts);
+};
+
+/**
+ * Users whose username matches the query: an exact match first, then prefix matches, then
+ * other FULLTEXT matches. Suspended users and users blocked either way are left out.
+ * @param {Object} options - { offset, limit, viewerId }
+ */
+const searchUsers = async (q, { offset = 0, limit = 20, viewerId = null }) => {
+    const terms = searchTerms(q);
+    if (terms.length === 0) {
+        return [];
+    }
+    const prefix = `${escapeLike(terms[0])}%`;
+    const match = driver.textMatch('u.username', terms);
+    const hidden = hiddenAuthorCondition('u.user_id', viewerId, { mutes: false });
+    const sql = `
+        SELECT u.user_id AS userId, u.username, u.profile_pic_url AS profilePicUrl
+        FROM users u
+        WHERE (u.username LIKE ? ESCAPE '!' OR ${match.clause})
+            AND (u.suspended_until IS NULL OR u.suspended_until <= CURRENT_TIMESTAMP)
+            AND ${hidden.clause}
+        ORDER BY u.username = ? DESC, u.username LIKE ? ESCAPE '!' DESC, ${match.score} DESC, u.username ASC
+        LIMIT ? OFFSET ?
+    `;
+    return query(sql, [prefix, ...match.params, ...hidden.params, terms[0], prefix, ...match.scoreParams, String(limit), String(offset)]);
+};
+
+/**
+ * Hashtags starting with the query (with or without its leading #), an exact match first,
+ * then by the number of visible posts using them.
+ * @param {Object} options - { offset, limit, viewerId }
+ * @returns {Promise<Array>} [{ tag, postCount }]
+ */
+const searchTags = async (q, { offset = 0, limit = 20, viewerId = null }) => {
+    const [term] = searchTerms(q);
+    if (!term) {
+        return [];
+    }
+    const tag = term.normalize('NFC').toLowerCase();
+    const hidden = hiddenAuthorCondition('p.user_id', viewerId, { mutes: false });
+    const sql = `
+        SELECT h.tag, COUNT(*) AS postCount
+        FROM hashtags h
+        JOIN posts p ON h.target_type = 'post' AND p.id = h.target_id
+        WHERE h.tag LIKE ? ESCAPE '!' AND ${VISIBLE_POST} AND ${hidden.clause}
+        GROUP BY h.tag
+        ORDER BY h.tag = ? DESC, postCount DESC, h.tag ASC
+        LIMIT ? OFFSET ?
+    `;
+    const rows = await query(sql, [`${escapeLike(tag)}%`, ...hidden.params, tag, String(limit), String(offset)]);
+    return rows.map(r => ({ tag: r.tag, postCount: Number(r.postCount) }));
+};
+
+// --- HASHTAGS AND MENTIONS ---
+// hashtags and mentions index the #tags and @mentions of posts and comments (target_type
+// 'post' or 'comment', like reactions). post_id is the post itself or the post a comment is on,
+// and user_id the author. Rows are rewritten whenever the text is created or edited.
+
+/**
+ * Replaces the hashtags and mentions of a post or comment. Unchanged rows keep their created_at.
+ * @param {'post'|'comment'} targetType
+ * @param {Object} entities - { postId, authorId, tags, mentionedUserIds }
+ * @returns {Promise<Array>} The ids of the users who were not mentioned in the text before.
+ */
+const setContentEntities = async (targetType, targetId, { postId, authorId, tags, mentionedUserIds }) => {
+    const target = [targetType, String(targetId)];
+    return withTransaction(async (txQuery) => {
+        if (tags.length > 0) {
+            await txQuery(
+                `DELETE FROM hashtags WHERE target_type = ? AND target_id = ? AND tag NOT IN (${placeholders(tags)})`,
+                [...target, ...tags]
+            );
+            await txQuery(
+                `${driver.insertIgnore} INTO hashtags (target_type, target_id, post_id, user_id, tag) VALUES ${tags.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+                tags.flatMap(tag => [...target, postId, authorId, tag])
+            );
+        } else {
+            await txQuery('DELETE FROM hashtags WHERE target_type = ? AND target_id = ?', target);
+        }
+
+        const existing = await txQuery(
+            'SELECT mentioned_user_id FROM mentions WHERE target_type = ? AND target_id = ?',
+            target
+        );
+        const before = new Set(existing.map(r => String(r.mentioned_user_id)));
+        const after = new Set(mentionedUserIds.map(String));
+        const removed = [...before].filter(id => !after.has(id));
+        const added = mentionedUserIds.filter(id => !before.has(String(id)));
+        if (removed.length > 0) {
+            await txQuery(
+                `DELETE FROM mentions WHERE target_type = ? AND target_id = ? AND mentioned_user_id IN (${placeholders(removed)})`,
+                [...target, ...removed]
+            );
+        }
+        if (added.length > 0) {
+            await txQuery(
+                `${driver.insertIgnore} INTO mentions (target_type, target_id, post_id, user_id, mentioned_user_id) VALUES ${added.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+                added.flatMap(id => [...target, postId, authorId, id])
+            );
+        }
+        return added;
+    });
+};
+
+const deleteContentEntities = async (targetType, targetId) => {
+    await query('DELETE FROM hashtags WHERE target_type = ? AND target_id = ?', [targetType, String(targetId)]);
+    await query('DELETE FROM mentions WHERE target_type = ? AND target_id = ?', [targetType, String(targetId)]);
+};
+
+/**
+ * One page of the posts tagged with a hashtag, newest first (keyset cursor as for getAllPosts).
+ * @param {Object} [options] - { before, limit, viewerId } where viewerId applies blocks.
+ */
+const getPostsByTag = async (tag, { before = null, limit = 20, viewerId = null } = {}) => {
+    const keyset = keysetCondition('p.created_at', 'p.id', before);
+    const hidden = hiddenAuthorCondition('p.user_id', viewerId, { mutes: false });
+    const sql = `
+        ${POST_SELECT}
+        JOIN hashtags h ON h.target_type = 'post' AND h.target_id = p.id
+        WHERE h.tag = ? AND ${VISIBLE_POST} AND ${keyset.clause} AND ${hidden.clause}
+        ORDER BY p.created_at DESC, p.id DESC
+        LIMIT ?
+    `;
+    const posts = await query(sql, [tag, ...keyset.params, ...hidden.params, String(limit)]);
+    return withCounts(posts);
+};
+
+const getTagPostCount = async (tag) => {
+    const sql = `
+        SELECT COUNT(*) AS count
+        FROM hashtags h
+        JOIN posts p ON h.target_type = 'post' AND p.id = h.target_id
+        WHERE h.tag = ? AND ${VISIBLE_POST}
+    `;
+    const rows = await query(sql, [tag]);
+    return Number(rows[0].count);
+};
+
+/**
+ * The most used hashtags since a point in time, in posts and comments on visible posts.
+ * Tags are ranked by how many different people used them, so one account repeating a tag
+ * cannot make it trend on its own.
+ * @returns {Promise<Array>} [{ tag, authorCount, postCount }]
+ */
+const getTrendingTags = async (since, limit = 10) => {
+    const sql = `
+        SELECT h.tag, COUNT(DISTINCT h.user_id) AS authorCount, COUNT(DISTINCT h.post_id) AS postCount
+        FROM hashtags h
+        JOIN posts p ON p.id = h.post_id
+        LEFT JOIN comments c ON h.target_type = 'comment' AND c.comment_id = h.target_id
+        WHERE h.created_at > ? AND ${VISIBLE_POST} AND (c.comment_id IS NULL OR c.hidden_at IS NULL)
+        GROUP BY h.tag
+        ORDER BY authorCount DESC, postCount DESC, h.tag ASC
+        LIMIT ?
+    `;
+    const rows = await query(sql, [since, String(limit)]);
+    return rows.map(r => ({ tag: r.tag, authorCount: Number(r.authorCount), postCount: Number(r.postCount) }));
+};
+
+// --- STORIES ---
+// Stories are visible until expires_at; every query here leaves expired ones out, so they
+// disappear on time even if the purge job has not run yet.
+
+// Columns shared by the story queries (FROM stories s JOIN users u); the author's username and
+// picture come from users
+const STORY_COLUMNS = `
+        s.id AS storyId,
+        s.user_id AS userId,
+        u.username,
+        u.profile_pic_url AS profilePicUrl,
+        s.type,
+        s.text,
+        s.media_url AS mediaUrl,
+        s.media_thumbnail_url AS mediaThumbnailUrl,
+        s.media_width AS mediaWidth,
+        s.media_height AS mediaHeight,
+        s.media_placeholder AS mediaPlaceholder,
+        s.created_at AS createdAt,
+        s.expires_at AS expiresAt
+`;
+
+/**
+ * @param {Object} story - { storyId, userId, type, text, media, expiresAt }, media as for createPost.
+ */
+const createStory = async ({ storyId, userId, type, text = null, media = null, expiresAt }) => {
+    const m = media || {};
+    const result = await query(
+        `INSERT INTO stories (id, user_id, type, text, media_url, media_thumbnail_url, media_width, media_height, media_placeholder, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [storyId, userId, type, text || null, m.url || null, m.thumbnailUrl || null, m.width || null, m.height || null, m.placeholder || null, expiresAt]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * The unexpired stories of the viewer and of the users they follow, oldest first, each with
+ * `seen` (1 if the viewer has opened it, else 0). Blocked and muted authors are left out.
+ */
+const getStoryTray = async (viewerId, now = new Date()) => {
+    const hidden = hiddenAuthorCondition('s.user_id', viewerId);
+    const sql = `
+        SELECT ${STORY_COLUMNS}, CASE WHEN v.story_id IS NULL THEN 0 ELSE 1 END AS seen
+        FROM stories s
+        JOIN users u ON s.user_id = u.user_id
+        LEFT JOIN story_views v ON v.story_id = s.id AND v.viewer_id = ?
+        WHERE s.expires_at > ?
+          AND (s.user_id = ? OR s.user_id IN (SELECT followee_id FROM follows WHERE follower_id = ?))
+          AND ${hidden.clause}
+        ORDER BY s.created_at ASC, s.id ASC
+    `;
+    return query(sql, [viewerId, now, viewerId, viewerId, ...hidden.params]);
+};
+
+/**
+ * @param {string} [viewerId] - Treat the story as missing if its author and the viewer have
+ *   blocked each other.
+ */
+const getStoryById = async (storyId, viewerId = null, now = new Date()) => {
+    const hidden = hiddenAuthorCondition('s.user_id', viewerId, { mutes: false });
+    const rows = await query(
+        `SELECT ${STORY_COLUMNS} FROM stories s JOIN users u ON s.user_id = u.user_id
+         WHERE s.id = ? AND s.expires_at > ? AND ${hidden.clause}`,
+        [storyId, now, ...hidden.params]
+    );
+    return rows[0];
+};
+
+/**
+ * Idempotent: the first view of a story is the one recorded.
+ * @returns {Promise<boolean>} true if this is the viewer's first view.
+ */
+const markStoryViewed = async (storyId, viewerId) => {
+    const result = await query(
+        `${driver.insertIgnore} INTO story_views (story_id, viewer_id) VALUES (?, ?)`,
+        [storyId, viewerId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Batched view counts for a set of stories.
+ * @returns {Promise<Object>} Map of storyId -> count
+ */
+const getStoryViewCounts = async (storyIds) => {
+    if (storyIds.length === 0) {
+        return {};
+    }
+    const rows = await query(
+        `SELECT story_id, COUNT(*) AS count FROM story_views
+         WHERE story_id IN (${placeholders(storyIds)})
+         GROUP BY story_id`,
+        storyIds
+    );
+    return Object.fromEntries(rows.map(r => [r.story_id, Number(r.count)]));
+};
+
+/**
+ * The users who viewed a story, most recent first. Users the author blocked or is blocked
+ * by are left out.
+ */
+const getStoryViewers = async (storyId, authorId) => {
+    const hidden = hiddenAuthorCondition('v.viewer_id', authorId, { mutes: false });
+    const sql = `
+        SELECT u.user_id AS userId, u.username, u.profile_pic_url AS profilePicUrl, v.viewed_at AS viewedAt
+        FROM story_views v
+        JOIN users u ON v.viewer_id = u.user_id
+        WHERE v.story_id = ? AND ${hidden.clause}
+        ORDER BY v.viewed_at DESC, u.user_id ASC
+    `;
+    return query(sql, [storyId, ...hidden.params]);
+};
+
+/**
+ * Deletes up to `limit` expired stories (their views go with them).
+ * @returns {Promise<Array<Object>>} The deleted stories: [{ storyId, userId, mediaUrl, mediaThumbnailUrl }]
+ */
+const deleteExpiredStories = async (now = new Date(), limit = 500) => {
+    return withTransaction(async (txQuery) => {
+        const rows = await txQuery(
+            `SELECT id AS storyId, user_id AS userId, media_url AS mediaUrl, media_thumbnail_url AS mediaThumbnailUrl
+             FROM stories WHERE expires_at <= ?
+             ORDER BY expires_at ASC
+             LIMIT ?`,
+            [now, String(limit)]
+        );
+        if (rows.length > 0) {
+            const storyIds = rows.map(r => r.storyId);
+            await txQuery(`DELETE FROM stories WHERE id IN (${placeholders(storyIds)})`, storyIds);
+        }
+        return rows;
+    });
+};
+
+/**
+ * Uploaded files are named after their content, so a post and a story can share one. Returns
+ * which of the given /uploads/files URLs are still used by a post or a story.
+ * @returns {Promise<Set<string>>}
+ */
+const getMediaUrlsInUse = async (urls) => {
+    if (urls.length === 0) {
+        return new Set();
+    }
+    const list = placeholders(urls);
+    const rows = await query(
+        `SELECT media_url AS url FROM posts WHERE media_url IN (${list})
+         UNION SELECT media_thumbnail_url FROM posts WHERE media_thumbnail_url IN (${list})
+         UNION SELECT media_url FROM stories WHERE media_url IN (${list})
+         UNION SELECT media_thumbnail_url FROM stories WHERE media_thumbnail_url IN (${list})`,
+        [...urls, ...urls, ...urls, ...urls]
+    );
+    return new Set(rows.map(r => r.url));
+};
+
+// --- PROFILE MANAGEMENT ---
+
+const getUserProfilePic = async (userId) => {
+    const rows = await query('SELECT profile_pic_url FROM users WHERE user_id = ?', [userId]);
+    return rows[0] ? rows[0].profile_pic_url : null;
+};
+
+const updateUserProfilePic = async (userId, url) => {
+    const result = await query('UPDATE users SET profile_pic_url = ? WHERE user_id = ?', [url, userId]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * The public profile of a user, with the number of visible posts.
+ */
+const getUserProfile = async (userId) => {
+    const sql = `
+        SELECT
+            u.user_id AS userId,
+            u.username,
+            u.display_name AS displayName,
+            u.bio,
+            u.website,
+            u.profile_pic_url AS profilePicUrl,
+            u.created_at AS joinedAt,
+            (SELECT COUNT(*) FROM posts p WHERE p.user_id = u.user_id AND ${VISIBLE_POST}) AS postCount
+        FROM users u
+        WHERE u.user_id = ?
+    `;
+    const rows = await query(sql, [userId]);
+    return rows[0] ? { ...rows[0], postCount: Number(rows[0].postCount) } : undefined;
+};
+
+/**
+ * Usernames are unique regardless of case (the column's collation is case-insensitive).
+ */
+const isUsernameTaken = async (username, exceptUserId = null) => {
+    const rows = await query('SELECT user_id FROM users WHERE username = ? AND user_id <> ?', [username, exceptUserId || '']);
+    return rows.length > 0;
+};
+
+/**
+ * Updates the editable profile fields; fields left undefined keep their value. A new username is
+ * also written to the copies kept in posts, comments and online_users, in the same transaction.
+ * @param {Object} changes - { displayName, bio, website, username }
+ */
+const updateUserProfile = async (userId, { displayName, bio, website, username }) => {
+    const columns = { display_name: displayName, bio, website, username };
+    const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (updates.length === 0) {
+        return false;
+    }
+    return withTransaction(async (txQuery) => {
+        const result = await txQuery(
+            `UPDATE users SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE user_id = ?`,
+            [...updates.map(([, value]) => value), userId]
+        );
+        if (username !== undefined) {
+            await txQuery('UPDATE posts SET username = ? WHERE user_id = ?', [username, userId]);
+            await txQuery('UPDATE comments SET username = ? WHERE user_id = ?', [username, userId]);
+            await txQuery('UPDATE online_users SET username = ? WHERE user_id = ?', [username, userId]);
+        }
+        return result.affectedRows > 0;
+    });
+};
+
+
+// --- REAL-TIME USERS AND CHAT ---
+
+// online_users holds one row per connected socket, so a user with several devices has several rows.
+// A user stays online until their last row is removed.
+
+const registerOnlineUser = async (userId, socketId) => {
+    // Upsert on socket_id: a socket re-announcing itself keeps a single row (with the user's current name).
+    const result = await query(
+        `INSERT INTO online_users (user_id, username, socket_id, status)
+         SELECT user_id, username, ?, 'online' FROM users WHERE user_id = ?
+         ${driver.upsert(['socket_id'], ['username', 'status'])}`,
+        [socketId, userId]
+    );
+    return result.affectedRows > 0;
+};
+
+const unregisterOnlineUser = async (socketId) => {
+    const result = await query('DELETE FROM online_users WHERE socket_id = ?', [socketId]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * Sets the status ('online' or 'away') reported by a single socket.
+ */
+const setSocketStatus = async (socketId, status) => {
+    const result = await query('UPDATE online_users SET status = ? WHERE socket_id = ?', [status, socketId]);
+    return result.affectedRows > 0;
+};
+
+const isUserOnline = async (userId) => {
+    const rows = await query('SELECT 1 FROM online_users WHERE user_id = ? LIMIT 1', [userId]);
+    return rows.length > 0;
+};
+
+const updateLastSeen = async (userId) => {
+    const result = await query('UPDATE users SET last_seen_at = CURRENT_TIMESTAMP WHERE user_id = ?', [userId]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * Returns every user with their aggregated presence: 'online' if any socket is active,
+ * 'away' if all of their sockets are away, 'offline' if they have none.
+ */
+const getUserPresence = async () => {
+    const sql = `
+        SELECT
+            u.user_id AS userId,
+            u.username,
+            u.profile_pic_url,
+            u.last_seen_at AS lastSeenAt,
+            COUNT(o.socket_id) AS socketCount,
+            COALESCE(SUM(o.status = 'online'), 0) AS activeCount
+        FROM users u
+        LEFT JOIN online_users o ON o.user_id = u.user_id
+        GROUP BY u.user_id, u.username, u.profile_pic_url, u.last_seen_at
+        ORDER BY u.username ASC
+    `;
+    const rows = await query(sql);
+    return rows.map(row => ({
+        userId: row.userId,
+        username: row.username,
+        profile_pic_url: row.profile_pic_url,
+        lastSeenAt: row.lastSeenAt,
+        status: Number(row.activeCount) > 0 ? 'online' : (Number(row.socketCount) > 0 ? 'away' : 'offline')
+    }));
+};
+
+/**
+ * Removes presence rows left behind by a crash or restart (socket ids do not survive a restart),
+ * recording last_seen_at for the users they belonged to.
+ */
+const clearOnlineUsers = async () => {
+    await query('UPDATE users SET last_seen_at = CURRENT_TIMESTAMP WHERE user_id IN (SELECT DISTINCT user_id FROM online_users)');
+    const result = await query('DELETE FROM online_users');
+    return result.affectedRows;
+};
+
+
+// PRIVATE MESSAGES
+/**
+ * Saves a message and links any attachments uploaded for it, atomically.
+ * @param {number|null} recipientId - The other member of a direct conversation; null in groups.
+ * @param {string} [type] - 'text', 'image', 'video' or 'file'.
+ * @param {Array<string>} [attachmentIds] - Attachments uploaded by the sender and not yet sent.
+ * @param {number} conversationId - The conversation the message belongs to.
+ * @returns {Promise<number|null>} The new message_id, or null if an attachment was not
+ *   the sender's or had already been sent (nothing is saved in that case).
+ */
+const savePrivateMessage = async (senderId, recipientId, message, type = 'text', attachmentIds = [], conversationId) => {
+    return withTransaction(async (txQuery) => {
+        const result = await txQuery(
+            'INSERT INTO messages (conversation_id, sender_id, recipient_id, message_text, type) VALUES (?, ?, ?, ?, ?)',
+            [conversationId, senderId, recipientId, message, type]
+        );
+        const messageId = result.insertId;
+
+        if (attachmentIds.length > 0) {
+            const linked = await txQuery(
+                `UPDATE attachments SET message_id = ?
+                 WHERE attachment_id IN (${placeholders(attachmentIds)}) AND uploader_id = ? AND message_id IS NULL`,
+                [messageId, ...attachmentIds, senderId]
+            );
+            if (linked.affectedRows !== attachmentIds.length) {
+                throw Object.assign(new Error('Invalid attachments.'), { code: 'INVALID_ATTACHMENTS' });
+            }
+        }
+        return messageId;
+    }).catch(error => {
+        if (error.code === 'INVALID_ATTACHMENTS') {
+            return null;
+        }
+        throw error;
+    });
+};
+
+// --- CHAT ATTACHMENTS ---
+// Files are uploaded first (unlinked, message_id NULL) and linked when the message is sent.
+// They live outside public/ and are only served to the conversation's participants.
+
+const createAttachment = async ({
+    attachmentId, uploaderId, storagePath, thumbnailPath = null, originalName, mimeType, sizeBytes, kind,
+    width = null, height = null, placeholder = null
+}) => {
+    const result = await query(
+        `INSERT INTO attachments
+            (attachment_id, uploader_id, storage_path, thumbnail_path, original_name, mime_type, size_bytes, kind, width, height, placeholder)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [attachmentId, uploaderId, storagePath, thumbnailPath, originalName, mimeType, sizeBytes, kind, width, height, placeholder]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Returns an attachment together with the conversation of the message it belongs to
+ * (conversation_id is null while it is still unsent).
+ */
+const getAttachmentWithMessage = async (attachmentId) => {
+    const sql = `
+        SELECT a.*, m.conversation_id, m.sender_id, m.recipient_id, m.removed_at
+        FROM attachments a
+        LEFT JOIN messages m ON m.message_id = a.message_id
+        WHERE a.attachment_id = ?
+    `;
+    const rows = await query(sql, [attachmentId]);
+    return rows[0];
+};
+
+const getUnsentAttachments = async (attachmentIds, uploaderId) => {
+    if (attachmentIds.length === 0) {
+        return [];
+    }
+    return await query(
+        `SELECT * FROM attachments WHERE attachment_id IN (${placeholders(attachmentIds)}) AND uploader_id = ? AND message_id IS NULL`,
+        [...attachmentIds, uploaderId]
+    );
+};
+
+/**
+ * Batched attachments for a set of messages.
+ * @returns {Promise<Object>} Map of messageId -> [attachment rows]
+ */
+const getAttachmentsForMessages = async (messageIds) => {
+    if (messageIds.length === 0) {
+        return {};
+    }
+    const rows = await query(
+        `SELECT a.* FROM attachments a
+         JOIN messages m ON m.message_id = a.message_id AND m.removed_at IS NULL
+         WHERE a.message_id IN (${placeholders(messageIds)}) ORDER BY a.created_at ASC`,
+        messageIds
+    );
+    const byMessage = {};
+    rows.forEach(a => {
+        (byMessage[a.message_id] = byMessage[a.message_id] || []).push(a);
+    });
+    return byMessage;
+};
+
+/**
+ * Returns one page of a conversation, newest first, using a keyset cursor.
+ * Callers reverse the page for display.
+ * @param {Object} [options]
+ * @param {Object|null} [options.before] - Decoded cursor { createdAt, id } of the oldest message already seen.
+ * @param {number} [options.limit] - Maximum number of messages to return.
+ */
+const getMessageById = async (messageId) => {
+    const rows = await query(
+        'SELECT message_id, conversation_id, sender_id, recipient_id, message_text, removed_at FROM messages WHERE message_id = ?',
+        [messageId]
+    );
+    return rows[0];
+};
+
+// Columns shared by every query that returns chat messages to clients
+const MESSAGE_SELECT = `
+    SELECT
+        m.message_id,
+        m.conversation_id AS conversationId,
+        c.type AS conversationType,
+        m.sender_id,
+        m.recipient_id,
+        u.username AS senderUsername,
+        CASE WHEN m.removed_at IS NULL THEN m.message_text ELSE NULL END AS message,
+        (m.removed_at IS NOT NULL) AS isRemoved,
+        m.type,
+        m.delivered_at AS deliveredAt,
+        m.read_at AS readAt,
+        m.created_at AS timestamp
+    FROM messages m
+    JOIN conversations c ON c.conversation_id = m.conversation_id
+    JOIN users u ON u.user_id = m.sender_id
+`;
+
+const getChatHistory = async (conversationId, { before = null, limit = 50 } = {}) => {
+    const keyset = keysetCondition('m.created_at', 'm.message_id', before);
+    const sql = `
+        ${MESSAGE_SELECT}
+        WHERE m.conversation_id = ? AND ${keyset.clause}
+        ORDER BY m.created_at DESC, m.message_id DESC
+        LIMIT ?
+    `;
+    return await query(sql, [conversationId, ...keyset.params, String(limit)]);
+};
+
+/**
+ * Messages in any of the user's conversations after a given message, oldest first. Used to
+ * catch a client up on what it missed while offline (message ids only ever increase).
+ * @param {number} afterMessageId - The newest message the client already has.
+ */
+const getMessagesSince = async (userId, afterMessageId, limit) => {
+    const sql = `
+        ${MESSAGE_SELECT}
+        JOIN conversation_members cm ON cm.conversation_id = m.conversation_id AND cm.user_id = ?
+        WHERE m.message_id > ?
+        ORDER BY m.message_id ASC
+        LIMIT ?
+    `;
+    return await query(sql, [userId, afterMessageId, String(limit)]);
+};
+
+// --- CONVERSATIONS ---
+// Every chat is a conversation: 'direct' ones have exactly two members and a direct_key
+// ("<lower user id>:<higher user id>") that makes them unique per pair; 'group' ones have a name,
+// any number of members and at least one admin.
+
+const directKey = (userA, userB) => {
+    const [low, high] = [String(userA), String(userB)].sort();
+    return `${low}:${high}`;
+};
+
+const findDirectConversation = async (userA, userB) => {
+    const rows = await query('SELECT * FROM conversations WHERE direct_key = ?', [directKey(userA, userB)]);
+    return rows[0];
+};
+
+/**
+ * Returns the direct conversation between two users, creating it on first use.
+ * @returns {Promise<Object>} { conversationId, created }
+ */
+const getOrCreateDirectConversation = async (userA, userB) => {
+    const key = directKey(userA, userB);
+    const result = await query(`${driver.insertIgnore} INTO conversations (type, direct_key) VALUES (?, ?)`, ['direct', key]);
+    const conversation = await findDirectConversation(userA, userB);
+    if (result.affectedRows > 0) {
+        await query(
+            `${driver.insertIgnore} INTO conversation_members (conversation_id, user_id, role) VALUES (?, ?, 'member'), (?, ?, 'member')`,
+            [conversation.conversation_id, userA, conversation.conversation_id, userB]
+        );
+    }
+    return { conversationId: conversation.conversation_id, created: result.affectedRows > 0 };
+};
+
+/**
+ * Creates a named group; the creator becomes its first admin.
+ * @returns {Promise<number>} The new conversation_id.
+ */
+const createGroupConversation = async (name, creatorId, memberIds) => {
+    return withTransaction(async (txQuery) => {
+        const result = await txQuery(
+            "INSERT INTO conversations (type, name, created_by) VALUES ('group', ?, ?)",
+            [name, creatorId]
+        );
+        const conversationId = result.insertId;
+        await txQuery(
+            "INSERT INTO conversation_members (conversation_id, user_id, role) VALUES (?, ?, 'admin')",
+            [conversationId, creatorId]
+        );
+        const others = memberIds.filter(id => id !== creatorId);
+        if (others.length > 0) {
+            // Selecting from users skips ids that do not exist
+            await txQuery(
+                `${driver.insertIgnore} INTO conversation_members (conversation_id, user_id, role)
+                 SELECT ?, user_id, 'member' FROM users WHERE user_id IN (${placeholders(others)})`,
+                [conversationId, ...others]
+            );
+        }
+        return conversationId;
+    });
+};
+
+const getConversationById = async (conversationId) => {
+    const rows = await query(
+        'SELECT conversation_id AS conversationId, type, name, created_by AS createdBy, created_at AS createdAt FROM conversations WHERE conversation_id = ?',
+        [conversationId]
+    );
+    return rows[0];
+};
+
+const renameConversation = async (conversationId, name) => {
+    const result = await query("UPDATE conversations SET name = ? WHERE conversation_id = ? AND type = 'group'", [name, conversationId]);
+    return result.affectedRows > 0;
+};
+
+const getConversationMembers = async (conversationId) => {
+    const sql = `
+        SELECT cm.user_id AS userId, u.username, u.profile_pic_url AS profilePicUrl, cm.role, cm.joined_at AS joinedAt
+        FROM conversation_members cm
+        JOIN users u ON u.user_id = cm.user_id
+        WHERE cm.conversation_id = ?
+        ORDER BY cm.joined_at ASC, cm.user_id ASC
+    `;
+    return await query(sql, [conversationId]);
+};
+
+/**
+ * @returns {Promise<Object|undefined>} { role } if the user is a member of the conversation.
+ */
+const getMembership = async (conversationId, userId) => {
+    const rows = await query(
+        'SELECT role FROM conversation_members WHERE conversation_id = ? AND user_id = ?',
+        [conversationId, userId]
+    );
+    return rows[0];
+};
+
+const getConversationIdsForUser = async (userId) => {
+    const rows = await query('SELECT conversation_id FROM conversation_members WHERE user_id = ?', [userId]);
+    return rows.map(r => r.conversation_id);
+};
+
+/**
+ * Adds members to a group. They see its history, but only later messages count as unread.
+ * @returns {Promise<Array<number>>} The ids of the users that were not members yet.
+ */
+const addConversationMembers = async (conversationId, userIds) => {
+    if (userIds.length === 0) {
+        return [];
+    }
+    const existing = await query(
+        `SELECT user_id FROM conversation_members WHERE conversation_id = ? AND user_id IN (${placeholders(userIds)})`,
+        [conversationId, ...userIds]
+    );
+    const existingIds = new Set(existing.map(r => r.user_id));
+    const added = userIds.filter(id => !existingIds.has(id));
+    if (added.length > 0) {
+        await query(
+            `${driver.insertIgnore} INTO conversation_members (conversation_id, user_id, role, last_read_message_id)
+             SELECT ?, u.user_id, 'member', (SELECT MAX(message_id) FROM messages WHERE conversation_id = ?)
+             FROM users u WHERE u.user_id IN (${placeholders(added)})`,
+            [conversationId, conversationId, ...added]
+        );
+    }
+    return added;
+};
+
+/**
+ * Removes a member. If that leaves a group without admins, its longest-standing member is promoted.
+ * @returns {Promise<Object>} { removed: boolean, promotedUserId: number|null }
+ */
+const removeConversationMember = async (conversationId, userId) => {
+    return withTransaction(async (txQuery) => {
+        const result = await txQuery(
+            'DELETE FROM conversation_members WHERE conversation_id = ? AND user_id = ?',
+            [conversationId, userId]
+        );
+        let promotedUserId = null;
+        const admins = await txQuery(
+            "SELECT COUNT(*) AS count FROM conversation_members WHERE conversation_id = ? AND role = 'admin'",
+            [conversationId]
+        );
+        if (result.affectedRows > 0 && admins[0].count === 0) {
+            const next = await txQuery(
+                'SELECT user_id FROM conversation_members WHERE conversation_id = ? ORDER BY joined_at ASC, user_id ASC LIMIT 1',
+                [conversationId]
+            );
+            if (next[0]) {
+                promotedUserId = next[0].user_id;
+                await txQuery(
+                    "UPDATE conversation_members SET role = 'admin' WHERE conversation_id = ? AND user_id = ?",
+                    [conversationId, promotedUserId]
+                );
+            }
+        }
+        return { removed: result.affectedRows > 0, promotedUserId };
+    });
+};
+
+const setMemberRole = async (conversationId, userId, role) => {
+    const result = await query(
+        'UPDATE conversation_members SET role = ? WHERE conversation_id = ? AND user_id = ?',
+        [role, conversationId, userId]
+    );
+    return result.affectedRows > 0;
+};
+
+// Unread messages of the member `cm` in conversation `c`: direct chats use the per-message
+// read_at receipts, groups everything after the member's last_read_message_id.
+const UNREAD_COUNT_SQL = `
+    (SELECT COUNT(*) FROM messages x
+     WHERE x.conversation_id = c.conversation_id AND x.sender_id != cm.user_id
+       AND CASE WHEN c.type = 'direct' THEN x.read_at IS NULL ELSE x.message_id > COALESCE(cm.last_read_message_id, 0) END)
+`;
+
+// The other member of a direct conversation (NULL for groups)
+const PARTNER_ID_SQL = `
+    CASE WHEN c.type = 'direct'
+       THEN (SELECT p.user_id FROM conversation_members p WHERE p.conversation_id = c.conversation_id AND p.user_id != cm.user_id LIMIT 1)
+    END
+`;
+
+/**
+ * Unread messages per conversation.
+ * @returns {Promise<Array>} [{ conversationId, type, userId (direct partner), unreadCount }] for
+ *   conversations with unread messages.
+ */
+const getUnreadCounts = async (userId) => {
+    const sql = `
+        SELECT * FROM (
+            SELECT c.conversation_id AS conversationId, c.type, ${PARTNER_ID_SQL} AS userId, ${UNREAD_COUNT_SQL} AS unreadCount
+            FROM conversation_members cm
+            JOIN conversations c ON c.conversation_id = cm.conversation_id
+            WHERE cm.user_id = ?
+        ) counts
+        WHERE unreadCount > 0
+    `;
+    return await query(sql, [userId]);
+};
+
+/**
+ * A page of the user's conversations, most recently active first, each with its last message
+ * and unread count (direct ones also with the partner's userId, username and picture).
+ * Paged with a keyset on (last activity, conversation_id).
+ */
+const getConversations = async (userId, { before = null, limit = 20 } = {}) => {
+    const keyset = keysetCondition('activityAt', 'conversationId', before);
+    const sql = `
+        SELECT * FROM (
+            SELECT
+                c.conversation_id AS conversationId,
+                c.type,
+                c.name,
+                ${PARTNER_ID_SQL} AS userId,
+                cm.role,
+                m.message_id AS lastMessageId,
+                m.sender_id AS lastMessageSenderId,
+                m.message_text AS lastMessage,
+                m.type AS lastMessageType,
+                m.created_at AS lastMessageAt,
+                COALESCE(m.created_at, c.created_at) AS activityAt,
+                ${UNREAD_COUNT_SQL} AS unreadCount
+            FROM conversation_members cm
+            JOIN conversations c ON c.conversation_id = cm.conversation_id
+            LEFT JOIN messages m ON m.message_id = (
+                SELECT MAX(message_id) FROM messages WHERE conversation_id = c.conversation_id
+            )
+            WHERE cm.user_id = ?
+        ) conv
+        WHERE ${keyset.clause}
+        ORDER BY activityAt DESC, conversationId DESC
+        LIMIT ?
+    `;
+    const rows = await query(sql, [userId, ...keyset.params, String(limit)]);
+
+    // Direct conversations are shown as their partner
+    const partnerIds = rows.filter(r => r.userId).map(r => r.userId);
+    const partners = {};
+    if (partnerIds.length > 0) {
+        const users = await query(
+            `SELECT user_id, username, profile_pic_url FROM users WHERE user_id IN (${placeholders(partnerIds)})`,
+            partnerIds
+        );
+        users.forEach(u => { partners[u.user_id] = u; });
+    }
+    return rows.map(r => ({
+        ...r,
+        username: partners[r.userId] ? partners[r.userId].username : null,
+        profilePicUrl: partners[r.userId] ? partners[r.userId].profile_pic_url : null
+    }));
+};
+
+// --- DELIVERY AND READ RECEIPTS ---
+// A message is 'sent' once saved, 'delivered' when it reached one of the recipient's devices
+// and 'read' when the recipient opened the conversation (delivered_at / read_at).
+
+/**
+ * Marks messages to a recipient as delivered.
+ * @param {number} recipientId
+ * @param {Array<number>} [messageIds] - Only these messages; all undelivered ones if omitted.
+ * @returns {Promise<Array>} The newly delivered messages: [{ message_id, sender_id }]
+ */
+const markMessagesDelivered = async (recipientId, messageIds = null) => {
+    if (messageIds && messageIds.length === 0) {
+        return [];
+    }
+    const idFilter = messageIds ? `AND message_id IN (${placeholders(messageIds)})` : '';
+    const params = [recipientId, ...(messageIds || [])];
+
+    const rows = await query(
+        `SELECT message_id, sender_id FROM messages WHERE recipient_id = ? AND delivered_at IS NULL ${idFilter}`,
+        params
+    );
+    if (rows.length > 0) {
+        await query(
+            `UPDATE messages SET delivered_at = CURRENT_TIMESTAMP
+             WHERE recipient_id = ? AND delivered_at IS NULL AND message_id IN (${placeholders(rows)})`,
+            [recipientId, ...rows.map(r => r.message_id)]
+        );
+    }
+    return rows;
+};
+
+/**
+ * Marks a conversation as read up to its newest message. In direct conversations every unread
+ * message to the reader also gets its read receipt (and is delivered, if it was not yet).
+ * @returns {Promise<Array<number>>} The ids of direct messages that became read.
+ */
+const markConversationRead = async (readerId, conversationId) => {
+    await query(
+        `UPDATE conversation_members
+         SET last_read_message_id = (SELECT MAX(message_id) FROM messages WHERE conversation_id = ?)
+         WHERE conversation_id = ? AND user_id = ?`,
+        [conversationId, conversationId, readerId]
+    );
+    const rows = await query(
+        'SELECT message_id FROM messages WHERE conversation_id = ? AND recipient_id = ? AND read_at IS NULL',
+        [conversationId, readerId]
+    );
+    const messageIds = rows.map(r => r.message_id);
+    if (messageIds.length > 0) {
+        await query(
+            `UPDATE messages SET read_at = CURRENT_TIMESTAMP, delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+             WHERE recipient_id = ? AND read_at IS NULL AND message_id IN (${placeholders(messageIds)})`,
+            [readerId, ...messageIds]
+        );
+    }
+    return messageIds;
+};
+
+
+// --- NOTIFICATIONS ---
+// One row per event a user is told about. Preferences are stored per type only when they
+// differ from the default (in-app and email both on), so new users need no rows at all.
+
+const NOTIFICATION_TYPES = ['like', 'comment', 'mention', 'follow', 'message'];
+
+const NOTIFICATION_SELECT = `
+    SELECT
+        n.notification_id AS notificationId,
+        n.type,
+        n.actor_id AS actorId,
+        u.username AS actorUsername,
+        u.profile_pic_url AS actorProfilePicUrl,
+        n.post_id AS postId,
+        n.comment_id AS commentId,
+        n.conversation_id AS conversationId,
+        n.preview,
+        n.read_at AS readAt,
+        n.created_at AS createdAt
+    FROM notifications n
+    JOIN users u ON u.user_id = n.actor_id
+`;
+
+/**
+ * Stores a notification. Message notifications are coalesced: while one is unread for a
+ * conversation, later messages only refresh its actor, preview and time.
+ * @param {Object} notification - { userId, actorId, type, postId, commentId, conversationId, preview }
+ * @returns {Promise<Object>} The stored notification, as selected by NOTIFICATION_SELECT.
+ */
+const createNotification = async ({ userId, actorId, type, postId = null, commentId = null, conversationId = null, preview = null }) => {
+    let notificationId = null;
+    if (type === 'message') {
+        const rows = await query(
+            `SELECT notification_id FROM notifications
+             WHERE user_id = ? AND type = 'message' AND conversation_id = ? AND read_at IS NULL
+             LIMIT 1`,
+            [userId, conversationId]
+        );
+        if (rows[0]) {
+            notificationId = rows[0].notification_id;
+            await query(
+                'UPDATE notifications SET actor_id = ?, preview = ?, created_at = CURRENT_TIMESTAMP, emailed_at = NULL WHERE notification_id = ?',
+                [actorId, preview, notificationId]
+            );
+        }
+    }
+    if (!notificationId) {
+        const result = await query(
+            `INSERT INTO notifications (user_id, actor_id, type, post_id, comment_id, conversation_id, preview)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, actorId, type, postId, commentId, conversationId, preview]
+        );
+        notificationId = result.insertId;
+    }
+    const rows = await query(`${NOTIFICATION_SELECT} WHERE n.notification_id = ?`, [notificationId]);
+    return rows[0];
+};
+
+/**
+ * Removes the unread notification of a reaction that was taken back.
+ */
+const deleteLikeNotification = async (userId, actorId, postId, emoji) => {
+    const result = await query(
+        `DELETE FROM notifications
+         WHERE user_id = ? AND actor_id = ? AND type = 'like' AND post_id = ? AND preview = ? AND read_at IS NULL`,
+        [userId, actorId, postId, emoji]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * A page of a user's notifications, newest first.
+ * @param {Object} [options] - { before: decoded cursor, limit, unreadOnly }
+ */
+const getNotifications = async (userId, { before = null, limit = 20, unreadOnly = false } = {}) => {
+    const keyset = keysetCondition('n.created_at', 'n.notification_id', before);
+    const sql = `
+        ${NOTIFICATION_SELECT}
+        WHERE n.user_id = ? AND ${keyset.clause} ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+        ORDER BY n.created_at DESC, n.notification_id DESC
+        LIMIT ?
+    `;
+    return query(sql, [userId, ...keyset.params, String(limit)]);
+};
+
+const getUnreadNotificationCount = async (userId) => {
+    const rows = await query('SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL', [userId]);
+    return Number(rows[0].count);
+};
+
+/**
+ * Marks notifications as read.
+ * @param {Array<number>} [notificationIds] - Only these; every unread notification if omitted.
+ * @returns {Promise<number>} How many notifications became read.
+ */
+const markNotificationsRead = async (userId, notificationIds = null) => {
+    if (notificationIds && notificationIds.length === 0) {
+        return 0;
+    }
+    const idFilter = notificationIds ? `AND notification_id IN (${placeholders(notificationIds)})` : '';
+    const result = await query(
+        `UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL ${idFilter}`,
+        [userId, ...(notificationIds || [])]
+    );
+    return result.affectedRows;
+};
+
+/**
+ * @returns {Promise<Object>} Map of type -> { inApp, email } covering every notification type.
+ */
+const getNotificationPreferences = async (userId) => {
+    const rows = await query('SELECT type, in_app, email FROM notification_preferences WHERE user_id = ?', [userId]);
+    const preferences = {};
+    NOTIFICATION_TYPES.forEach(type => { preferences[type] = { inApp: true, email: true }; });
+    rows.forEach(r => { preferences[r.type] = { inApp: Boolean(r.in_app), email: Boolean(r.email) }; });
+    return preferences;
+};
+
+/**
+ * @param {Object} preferences - Map of type -> { inApp, email }; omitted types are left unchanged.
+ */
+const setNotificationPreferences = async (userId, preferences) => {
+    for (const [type, { inApp, email }] of Object.entries(preferences)) {
+        await query(
+            `INSERT INTO notification_preferences (user_id, type, in_app, email) VALUES (?, ?, ?, ?)
+             ${driver.upsert(['user_id', 'type'], ['in_app', 'email'])}`,
+            [userId, type, inApp, email]
+        );
+    }
+};
+
+/**
+ * Unread notifications not yet emailed, for users who are offline, have a verified email and
+ * have email enabled for the notification's type. Rows are grouped by user (ordered by user, then time).
+ * @param {Date} createdBefore - Only notifications older than this, so fresh ones can still be seen in-app.
+ */
+const getPendingDigestNotifications = async (createdBefore) => {
+    const sql = `
+        SELECT
+            n.notification_id AS notificationId,
+            n.user_id AS userId,
+            r.email,
+            r.username,
+            n.type,
+            a.username AS actorUsername,
+            n.preview,
+            n.created_at AS createdAt
+        FROM notifications n
+        JOIN users r ON r.user_id = n.user_id
+        JOIN users a ON a.user_id = n.actor_id
+        LEFT JOIN notification_preferences np ON np.user_id = n.user_id AND np.type = n.type
+        WHERE n.read_at IS NULL AND n.emailed_at IS NULL AND n.created_at < ?
+            AND r.email_verified_at IS NOT NULL
+            AND COALESCE(np.email, 1) = 1
+            AND NOT EXISTS (SELECT 1 FROM online_users o WHERE o.user_id = n.user_id)
+        ORDER BY n.user_id, n.created_at DESC
+    `;
+    return query(sql, [createdBefore]);
+};
+
+const markNotificationsEmailed = async (notificationIds) => {
+    if (notificationIds.length === 0) {
+        return 0;
+    }
+    const result = await query(
+        `UPDATE notifications SET emailed_at = CURRENT_TIMESTAMP WHERE notification_id IN (${placeholders(notificationIds)})`,
+        notificationIds
+    );
+    return result.affectedRows;
+};
+
+/**
+ * Looks up users by username (case-insensitively, as usernames are unique that way).
+ * @returns {Promise<Array>} [{ user_id, username }]
+ */
+const findUsersByUsernames = async (usernames) => {
+    if (usernames.length === 0) {
+        return [];
+    }
+    return query(`SELECT user_id, username FROM users WHERE username IN (${placeholders(usernames)})`, usernames);
+};
+
+// --- MODERATION ---
+// Users report posts, comments, messages and other users; admins (users.role = 'admin') work
+// through the open reports. Every moderator action is written to moderation_log.
+
+const REPORT_SELECT = `
+    SELECT
+        r.report_id AS reportId,
+        r.target_type AS targetType,
+        r.target_id AS targetId,
+        r.target_user_id AS targetUserId,
+        tu.username AS targetUsername,
+        r.reason,
+        r.details,
+        r.content_snapshot AS contentSnapshot,
+        r.status,
+        r.resolution,
+        r.reporter_id AS reporterId,
+        ru.username AS reporterUsername,
+        r.resolved_by AS resolvedBy,
+        mu.username AS resolvedByUsername,
+        r.resolved_at AS resolvedAt,
+        r.created_at AS createdAt,
+        (SELECT COUNT(*) FROM reports o
+         WHERE o.target_type = r.target_type AND o.target_id = r.target_id AND o.status = 'open') AS openReportCount
+    FROM reports r
+    JOIN users ru ON ru.user_id = r.reporter_id
+    LEFT JOIN users tu ON tu.user_id = r.target_user_id
+    LEFT JOIN users mu ON mu.user_id = r.resolved_by
+`;
+
+const getUserRole = async (userId) => {
+    const rows = await query('SELECT role, suspended_until FROM users WHERE user_id = ?', [userId]);
+    return rows[0] ? { role: rows[0].role, suspendedUntil: rows[0].suspended_until } : undefined;
+};
+
+const setUserRole = async (userId, role) => {
+    const result = await query('UPDATE users SET role = ? WHERE user_id = ?', [role, userId]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * Suspends an account until the given time (null lifts the suspension).
+ */
+const setUserSuspension = async (userId, suspendedUntil, reason = null) => {
+    const result = await query(
+        'UPDATE users SET suspended_until = ?, suspension_reason = ? WHERE user_id = ?',
+        [suspendedUntil, suspendedUntil ? reason : null, userId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Files a report, unless the reporter already has an open one on the same target.
+ * @param {Object} report - { reporterId, targetType, targetId, targetUserId, reason, details, contentSnapshot }
+ * @returns {Promise<Object>} { reportId, created }
+ */
+const createReport = async ({ reporterId, targetType, targetId, targetUserId, reason, details, contentSnapshot }) => {
+    const existing = await query(
+        `SELECT report_id FROM reports
+         WHERE reporter_id = ? AND target_type = ? AND target_id = ? AND status = 'open'`,
+        [reporterId, targetType, String(targetId)]
+    );
+    if (existing[0]) {
+        return { reportId: existing[0].report_id, created: false };
+    }
+    const result = await query(
+        `INSERT INTO reports (reporter_id, target_type, target_id, target_user_id, reason, details, content_snapshot)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [reporterId, targetType, String(targetId), targetUserId, reason, details, contentSnapshot]
+    );
+    return { reportId: result.insertId, created: true };
+};
+
+const getReportById = async (reportId) => {
+    const rows = await query(`${REPORT_SELECT} WHERE r.report_id = ?`, [reportId]);
+    return rows[0];
+};
+
+/**
+ * A page of reports with the given status. Open reports are listed oldest first, as a
+ * queue; resolved and dismissed ones newest first.
+ * @param {Object} [options] - { status, after: decoded cursor, limit }
+ */
+const getReports = async ({ status = 'open', after = null, limit = 20 } = {}) => {
+    const direction = status === 'open' ? 'asc' : 'desc';
+    const keyset = keysetCondition('r.created_at', 'r.report_id', after, direction);
+    const order = direction.toUpperCase();
+    const sql = `
+        ${REPORT_SELECT}
+        WHERE r.status = ? AND ${keyset.clause}
+        ORDER BY r.created_at ${order}, r.report_id ${order}
+        LIMIT ?
+    `;
+    return query(sql, [status, ...keyset.params, String(limit)]);
+};
+
+/**
+ * Closes every open report on a target.
+ * @param {string} status - 'resolved' (action taken) or 'dismissed'.
+ * @returns {Promise<number>} How many reports were closed.
+ */
+const closeReports = async (targetType, targetId, status, resolution, moderatorId) => {
+    const result = await query(
+        `UPDATE reports SET status = ?, resolution = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE target_type = ? AND target_id = ? AND status = 'open'`,
+        [status, resolution, moderatorId, targetType, String(targetId)]
+    );
+    return result.affectedRows;
+};
+
+/**
+ * A post with its moderation state, whether or not it is visible.
+ */
+const getPostForModeration = async (postId) => {
+    const rows = await query(
+        `SELECT id AS postId, user_id AS userId, content, media_url AS mediaUrl, media_thumbnail_url AS mediaThumbnailUrl,
+                hidden_at AS hiddenAt, removed_at AS removedAt
+         FROM posts WHERE id = ?`,
+        [postId]
+    );
+    return rows[0];
+};
+
+/**
+ * Hides a post (hidden = true), shows it again (false), or removes it for good.
+ * Removed posts cannot be shown again.
+ * @param {'hide'|'unhide'|'remove'} action
+ */
+const setPostModeration = async (postId, action) => {
+    const updates = {
+        hide: 'hidden_at = CURRENT_TIMESTAMP',
+        unhide: 'hidden_at = NULL',
+        remove: 'removed_at = CURRENT_TIMESTAMP'
+    };
+    const result = await query(`UPDATE posts SET ${updates[action]} WHERE id = ? AND removed_at IS NULL`, [postId]);
+    return result.affectedRows > 0;
+};
+
+const getCommentForModeration = async (commentId) => {
+    const rows = await query(
+        `SELECT comment_id AS commentId, post_id AS postId, user_id AS userId, comment_text AS text,
+                hidden_at AS hiddenAt, deleted_at AS deletedAt
+         FROM comments WHERE comment_id = ?`,
+        [commentId]
+    );
+    return rows[0];
+};
+
+const setCommentHidden = async (commentId, hidden) => {
+    const result = await query(
+        `UPDATE comments SET hidden_at = ${hidden ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE comment_id = ? AND deleted_at IS NULL`,
+        [commentId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Removes a message: its text and attachments are no longer served to anyone.
+ */
+const removeMessage = async (messageId) => {
+    const result = await query('UPDATE messages SET removed_at = CURRENT_TIMESTAMP WHERE message_id = ? AND removed_at IS NULL', [messageId]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * @param {Object} entry - { moderatorId, action, targetType, targetId, reportId, note }
+ */
+const logModerationAction = async ({ moderatorId, action, targetType, targetId, reportId = null, note = null }) => {
+    const result = await query(
+        `INSERT INTO moderation_log (moderator_id, action, target_type, target_id, report_id, note)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [moderatorId, action, targetType, String(targetId), reportId, note]
+    );
+    return result.insertId;
+};
+
+/**
+ * A page of the audit log, newest first.
+ */
+const getModerationLog = async ({ before = null, limit = 20 } = {}) => {
+    const keyset = keysetCondition('l.created_at', 'l.log_id', before);
+    const sql = `
+        SELECT
+            l.log_id AS logId,
+            l.moderator_id AS moderatorId,
+            u.username AS moderatorUsername,
+            l.action,
+            l.target_type AS targetType,
+            l.target_id AS targetId,
+            l.report_id AS reportId,
+            l.note,
+            l.created_at AS createdAt
+        FROM moderation_log l
+        JOIN users u ON u.user_id = l.moderator_id
+        WHERE ${keyset.clause}
+        ORDER BY l.created_at DESC, l.log_id DESC
+        LIMIT ?
+    `;
+    return query(sql, [...keyset.params, String(limit)]);
+};
 
 // --- MODULE EXPORTS ---
 module.exports = {
+    // CORE EXPORTS (used by migrate.js and seed.js)
+    dialect: driver.dialect,
+    query,
+    withTransaction,
+    closePool,
     findUserByEmail,
+    findUserById,
     createUser,
+    // AUTH SESSION EXPORTS
+    saveRefreshToken,
+    findRefreshToken,
+    revokeRefreshToken,
+    revokeSession,
+    revokeAllUserSessions,
+    isSessionActive,
     // NEW PASSWORD RESET EXPORTS
     savePasswordResetToken,
     findUserByToken,
     updateUserPassword,
     deletePasswordResetToken,
+    // EMAIL VERIFICATION EXPORTS
+    saveEmailVerificationToken,
+    getEmailVerificationSentAt,
+    verifyEmailToken,
+    markEmailVerified,
+    getEmailVerificationStatus,
     // Existing Exports
     createPost,
     getAllPosts,
+    getRankingCandidates,
+    getPostById,
+    updatePost,
+    getPostEdits,
+    deletePost,
+    // REACTION EXPORTS
+    LIKE_EMOJI,
+    addReaction,
+    removeReaction,
+    hasReaction,
+    getReactionSummaries,
+    getReactors,
     getLike,
     addLike,
     removeLike,
     getLikeCount,
+    getLikeCounts,
     addComment,
+    getCommentCounts,
+    getCommentCount,
     getCommentsForPost,
+    getCommentById,
+    updateComment,
+    softDeleteComment,
+    // FOLLOW GRAPH EXPORTS
+    followUser,
+    unfollowUser,
+    isFollowing,
+    getFollowCounts,
+    getFollowList,
+    getFollowerIds,
+    getFollowingIds,
+    getAuthorAffinitySignals,
     getUserProfilePic,
     updateUserProfilePic,
-    getOnlineUsers,
+    getUserProfile,
+    isUsernameTaken,
+    updateUserProfile,
     registerOnlineUser,
     unregisterOnlineUser,
+    setSocketStatus,
+    isUserOnline,
+    updateLastSeen,
+    getUserPresence,
+    clearOnlineUsers,
     savePrivateMessage,
+    // BLOCK AND MUTE EXPORTS
+    blockUser,
+    unblockUser,
+    muteUser,
+    unmuteUser,
+    getRestrictedUsers,
+    hasRestricted,
+    isBlockedBetween,
+    getBlockedIdsForUsers,
+    getBlockedUserIds,
+    getMuterIds,
+    // SEARCH EXPORTS
+    searchTerms,
+    searchPosts,
+    searchUsers,
+    searchTags,
+    // HASHTAG AND MENTION EXPORTS
+    setContentEntities,
+    deleteContentEntities,
+    getPostsByTag,
+    getTagPostCount,
+    getTrendingTags,
+    // STORY EXPORTS
+    createStory,
+    getStoryTray,
+    getStoryById,
+    markStoryViewed,
+    getStoryViewCounts,
+    getStoryViewers,
+    deleteExpiredStories,
+    getMediaUrlsInUse,
+    // ATTACHMENT EXPORTS
+    createAttachment,
+    getAttachmentWithMessage,
+    getUnsentAttachments,
+    getAttachmentsForMessages,
+    getMessageById,
+    getMessagesSince,
+    // CONVERSATION EXPORTS
+    findDirectConversation,
+    getOrCreateDirectConversation,
+    createGroupConversation,
+    getConversationById,
+    renameConversation,
+    getConversationMembers,
+    getMembership,
+    getConversationIdsForUser,
+    addConversationMembers,
+    removeConversationMember,
+    setMemberRole,
+    getUnreadCounts,
+    getConversations,
+    // RECEIPT EXPORTS
+    markMessagesDelivered,
+    markConversationRead,
     getChatHistory,
-    getRecipientSocketId,
+    // NOTIFICATION EXPORTS
+    NOTIFICATION_TYPES,
+    createNotification,
+    deleteLikeNotification,
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationsRead,
+    getNotificationPreferences,
+    setNotificationPreferences,
+    getPendingDigestNotifications,
+    markNotificationsEmailed,
+    findUsersByUsernames,
+    // MODERATION EXPORTS
+    getUserRole,
+    setUserRole,
+    setUserSuspension,
+    createReport,
+    getReportById,
+    getReports,
+    closeReports,
+    getPostForModeration,
+    setPostModeration,
+    getCommentForModeration,
+    setCommentHidden,
+    removeMessage,
+    logModerationAction,
+    getModerationLog,
 };
\ No newline at end of file
@@ -0,0 +1,71 @@
+// --- MYSQL DRIVER ---
+// The production storage driver: a mysql2 connection pool configured from the DB_* environment
+// variables. See db.js for the interface every driver implements.
+
+const mysql = require('mysql2/promise'); // Using mysql2/promise for better async support
+
+/**
+ * Builds a boolean-mode FULLTEXT query requiring every term, each as a prefix: "hello wor" -> "+hello* +wor*".
+ */
+const toBooleanQuery = (terms) => terms.map(term => `+${term}*`).join(' ');
+
+const createDriver = () => {
+    // Configuration is set to RELY ENTIRELY on Environment Variables (process.env).
+    // The application will crash if the necessary variables are not set at runtime.
+    const pool = mysql.createPool({
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+        // Ensure the port is parsed as an integer
+        port: process.env.DB_PORT ? parseInt(process.env.DB_PORT) : undefined,
+
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0
+    });
+
+    const execute = async (sql, params) => {
+        const [rows] = await pool.execute(sql, params);
+        return rows;
+    };
+
+    const transaction = async (work) => {
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await work(async (sql, params) => {
+                const [rows] = await connection.execute(sql, params);
+                return rows;
+            });
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    };
+
+    return {
+        dialect: 'mysql',
+        execute,
+        transaction,
+        close: () => pool.end(),
+        insertIgnore: 'INSERT IGNORE',
+        upsert: (keyColumns, columns) => `ON DUPLICATE KEY UPDATE ${columns.map(c => `${c} = VALUES(${c})`).join(', ')}`,
+        // Uses the FULLTEXT index of the column; relevance is MySQL's own score
+        textMatch: (column, terms) => {
+            const booleanQuery = toBooleanQuery(terms);
+            return {
+                clause: `MATCH(${column}) AGAINST (? IN BOOLEAN MODE)`,
+                params: [booleanQuery],
+                score: `MATCH(${column}) AGAINST (? IN BOOLEAN MODE)`,
+                scoreParams: [booleanQuery]
+            };
+        }
+    };
+};
+
+module.exports = { createDriver };
@@ -0,0 +1,127 @@
+// --- SQLITE DRIVER ---
+// An embedded database in a single file (SQLITE_PATH, ":memory:" for a throwaway one), so the
+// server runs locally with no database server. See db.js for the interface every driver implements.
+//
+// better-sqlite3 is synchronous and every statement runs on one connection, so while a
+// transaction is open other queries wait for it instead of joining it.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// DATETIME values are stored as UTC text in MySQL's format, which sorts and compares correctly
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const MAX_CACHED_STATEMENTS = 500;
+
+// Constraint failures reported the way MySQL does, since callers check for ER_DUP_ENTRY
+const DUPLICATE_ENTRY_CODES = ['SQLITE_CONSTRAINT_UNIQUE', 'SQLITE_CONSTRAINT_PRIMARYKEY'];
+
+const escapeLike = (value) => String(value).replace(/[!%_]/g, '!$&');
+
+const toSqliteValue = (value) => {
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 19).replace('T', ' ');
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    return value;
+};
+
+/**
+ * Turns DATETIME columns back into Date objects, as mysql2 does. Computed columns (MAX(created_at),
+ * COALESCE(...)) have no declared type, so their values are recognized by format instead.
+ */
+const fromSqliteRow = (columns, row) => {
+    columns.forEach(({ name, type }) => {
+        const value = row[name];
+        if (typeof value === 'string' && (type === 'DATETIME' || (type === null && DATETIME_PATTERN.test(value)))) {
+            row[name] = new Date(`${value.replace(' ', 'T')}Z`);
+        }
+    });
+    return row;
+};
+
+const createDriver = ({ filename = process.env.SQLITE_PATH || path.join(__dirname, '..', 'data', 'supagram.sqlite') } = {}) => {
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+    const database = new Database(filename);
+    database.pragma('journal_mode = WAL');
+    database.pragma('foreign_keys = ON');
+    database.pragma('busy_timeout = 5000'); // e.g. "npm run migrate:up" while the server runs
+
+    const statements = new Map();
+    const prepare = (sql) => {
+        let statement = statements.get(sql);
+        if (!statement) {
+            if (statements.size >= MAX_CACHED_STATEMENTS) {
+                statements.clear();
+            }
+            statement = database.prepare(sql);
+            statements.set(sql, statement);
+        }
+        return statement;
+    };
+
+    const run = (sql, params = []) => {
+        try {
+            const statement = prepare(sql);
+            const values = params.map(toSqliteValue);
+            if (statement.reader) {
+                const columns = statement.columns();
+                return statement.all(values).map(row => fromSqliteRow(columns, row));
+            }
+            const info = statement.run(values);
+            return { affectedRows: info.changes, insertId: Number(info.lastInsertRowid) };
+        } catch (error) {
+            if (DUPLICATE_ENTRY_CODES.includes(error.code)) {
+                error.code = 'ER_DUP_ENTRY';
+            }
+            throw error;
+        }
+    };
+
+    // Statements and transactions take turns on the connection in call order. The queue is a
+    // promise chain extended synchronously, so two callers can never both find the connection free.
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    const execute = (sql, params) => enqueue(() => run(sql, params));
+
+    const transaction = (work) => enqueue(async () => {
+        run('BEGIN IMMEDIATE');
+        try {
+            const result = await work(async (sql, params) => run(sql, params));
+            run('COMMIT');
+            return result;
+        } catch (error) {
+            run('ROLLBACK');
+            throw error;
+        }
+    });
+
+    return {
+        dialect: 'sqlite',
+        execute,
+        transaction,
+        close: () => enqueue(() => database.close()),
+        insertIgnore: 'INSERT OR IGNORE',
+        upsert: (keyColumns, columns) =>
+            `ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET ${columns.map(c => `${c} = excluded.${c}`).join(', ')}`,
+        // No FULLTEXT index: every term must appear somewhere in the column, and matches starting
+        // with the first term rank first
+        textMatch: (column, terms) => ({
+            clause: `(${terms.map(() => `${column} LIKE ? ESCAPE '!'`).join(' AND ')})`,
+            params: terms.map(term => `%${escapeLike(term)}%`),
+            score: `(${column} LIKE ? ESCAPE '!')`,
+            scoreParams: [`${escapeLike(terms[0])}%`]
+        })
+    };
+};
+
+module.exports = { createDriver };
@@ -0,0 +1,111 @@
+// --- EMAIL TEMPLATES ---
+// Pure functions returning { subject, text, html } for transporter.sendMail. Every message has
+// a plain-text part for clients that do not render HTML; values are escaped in the HTML part.
+
+const APP_NAME = 'SupaGram';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wraps HTML body content in a minimal, inline-styled layout (mail clients ignore <style> blocks).
+ */
+const layout = (bodyHtml) => `<!DOCTYPE html>
+<html>
+<body style="margin: 0; padding: 24px; background: #f4f4f7; font-family: Arial, sans-serif; color: #333;">
+    <div style="max-width: 480px; margin: 0 auto; background: #ffffff; border-radius: 12px; padding: 24px;">
+        <h1 style="margin: 0 0 16px; color: #ff0055; font-size: 22px;">${APP_NAME}</h1>
+        ${bodyHtml}
+    </div>
+</body>
+</html>`;
+
+const button = (link, label) =>
+    `<p style="margin: 24px 0;"><a href="${escapeHtml(link)}" style="background: #ff0055; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none; font-weight: bold;">${escapeHtml(label)}</a></p>`;
+
+/**
+ * @param {Object} params - { username, link, expiresInMinutes }
+ */
+const passwordResetEmail = ({ username, link, expiresInMinutes }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    text: `Hi ${username},\n\n`
+        + `Someone asked to reset the password of your ${APP_NAME} account. To choose a new password, open this link:\n\n`
+        + `${link}\n\n`
+        + `The link expires in ${expiresInMinutes} minutes and can be used once. Resetting signs you out on every device.\n\n`
+        + 'If this was not you, you can ignore this email; your password stays the same.\n',
+    html: layout(`
+        <p>Hi ${escapeHtml(username)},</p>
+        <p>Someone asked to reset the password of your ${APP_NAME} account. To choose a new password, use the button below.</p>
+        ${button(link, 'Reset password')}
+        <p style="font-size: 13px; color: #777;">The link expires in ${expiresInMinutes} minutes and can be used once.
+            Resetting signs you out on every device. If this was not you, you can ignore this email.</p>`)
+});
+
+/**
+ * @param {Object} params - { username, link, expiresInHours }
+ */
+const emailVerificationEmail = ({ username, link, expiresInHours }) => ({
+    subject: `Confirm your email for ${APP_NAME}`,
+    text: `Hi ${username},\n\n`
+        + `Welcome to ${APP_NAME}! Please confirm your email address by opening this link:\n\n`
+        + `${link}\n\n`
+        + `The link expires in ${expiresInHours} hours. Until then you can browse, but not post, comment or send messages.\n\n`
+        + 'If you did not create an account, you can ignore this email.\n',
+    html: layout(`
+        <p>Hi ${escapeHtml(username)},</p>
+        <p>Welcome to ${APP_NAME}! Please confirm your email address.</p>
+        ${button(link, 'Confirm email')}
+        <p style="font-size: 13px; color: #777;">The link expires in ${expiresInHours} hours. Until then you can browse,
+            but not post, comment or send messages. If you did not create an account, you can ignore this email.</p>`)
+});
+
+/**
+ * One line describing a notification (as selected by db.getPendingDigestNotifications).
+ */
+const describeNotification = (n) => {
+    const preview = n.preview ? `: "${n.preview}"` : '';
+    switch (n.type) {
+        case 'like': return `${n.actorUsername} reacted ${n.preview || ''} to your post`;
+        case 'comment': return `${n.actorUsername} commented${preview}`;
+        case 'mention': return `${n.actorUsername} mentioned you${preview}`;
+        case 'follow': return `${n.actorUsername} started following you`;
+        case 'message': return `${n.actorUsername} sent you a message${preview}`;
+        default: return `${n.actorUsername} did something`;
+    }
+};
+
+/**
+ * @param {Object} params - { username, notifications, maxItems, appUrl }
+ */
+const notificationDigestEmail = ({ username, notifications, maxItems, appUrl }) => {
+    const count = notifications.length;
+    const lines = notifications.slice(0, maxItems).map(describeNotification);
+    const more = count > maxItems ? `...and ${count - maxItems} more.` : null;
+    return {
+        subject: `You have ${count} unread notification${count === 1 ? '' : 's'}`,
+        text: `Hi ${username},\n\nHere is what you missed:\n\n`
+            + lines.map(line => `- ${line}`).join('\n')
+            + (more ? `\n${more}` : '')
+            + `\n\nSee everything at ${appUrl}\n\n`
+            + 'You can choose which notifications are emailed to you in Settings.\n',
+        html: layout(`
+            <p>Hi ${escapeHtml(username)}, here is what you missed:</p>
+            <ul style="padding-left: 20px;">${lines.map(line => `<li style="margin-bottom: 6px;">${escapeHtml(line)}</li>`).join('')}</ul>
+            ${more ? `<p>${escapeHtml(more)}</p>` : ''}
+            ${button(appUrl, `Open ${APP_NAME}`)}
+            <p style="font-size: 13px; color: #777;">You can choose which notifications are emailed to you in Settings.</p>`)
+    };
+};
+
+
+// --- MODULE EXPORTS ---
+module.exports = {
+    escapeHtml,
+    passwordResetEmail,
+    emailVerificationEmail,
+    notificationDigestEmail,
+};
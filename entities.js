@@ -0,0 +1,51 @@
+// --- HASHTAGS AND MENTIONS ---
+// Pure functions extracting #hashtags and @mentions from post and comment text. Tags and
+// usernames are compared case-insensitively, so both are returned lowercased.
+
+const MAX_HASHTAGS = 30;
+const MAX_HASHTAG_LENGTH = 100;
+// @username mentions notify at most this many users per post or comment
+const MAX_MENTIONS = 10;
+
+// A hashtag starts at the beginning of the text or after a character that cannot be part of a
+// word, so "a#b" and "&#39;" are not tags. It must contain at least one letter ("#1" is not a tag).
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]+)/gu;
+const MENTION_PATTERN = /(?:^|[^\w@])@(\w{1,30})/g;
+
+/**
+ * Normalizes a hashtag as typed by a user ("#Cats", "cats") to its stored form ("cats").
+ * @returns {string|null} null if it is not a valid tag.
+ */
+const normalizeTag = (tag) => {
+    const value = String(tag || '').replace(/^#/, '').normalize('NFC').toLowerCase();
+    if (!value || value.length > MAX_HASHTAG_LENGTH || !/^[\p{L}\p{N}_]+$/u.test(value) || !/\p{L}/u.test(value)) {
+        return null;
+    }
+    return value;
+};
+
+/**
+ * @returns {Array<string>} The distinct hashtags of a text, in order of appearance.
+ */
+const extractHashtags = (text) => {
+    const tags = [...String(text || '').matchAll(HASHTAG_PATTERN)].map(m => normalizeTag(m[1])).filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_HASHTAGS);
+};
+
+/**
+ * @returns {Array<string>} The distinct usernames mentioned in a text, in order of appearance.
+ */
+const extractMentions = (text) => {
+    const usernames = [...String(text || '').matchAll(MENTION_PATTERN)].map(m => m[1].toLowerCase());
+    return [...new Set(usernames)].slice(0, MAX_MENTIONS);
+};
+
+
+// --- MODULE EXPORTS ---
+module.exports = {
+    MAX_HASHTAGS,
+    MAX_MENTIONS,
+    normalizeTag,
+    extractHashtags,
+    extractMentions,
+};
@@ -0,0 +1,166 @@
+// --- Dependencies ---
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+// --- MEDIA UPLOAD PIPELINE ---
+// Uploads are held in memory by multer and only written to disk once their real type has been
+// sniffed from the file's magic bytes. Images are re-encoded (which drops EXIF/GPS metadata),
+// resized into variants and stored under content-hash names, so a name never reveals who
+// uploaded the file or when, and identical uploads share the same files.
+
+// ISO base media brands accepted as MP4 (HEIC and QuickTime share the same 'ftyp' box)
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash'];
+
+// Magic-byte signatures; `offset` is where the signature starts in the file,
+// `check` an optional extra test on the whole buffer
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', ext: '.jpg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mimeType: 'image/png', ext: '.png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mimeType: 'image/gif', ext: '.gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+    { mimeType: 'image/webp', ext: '.webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 }, // RIFF....WEBP
+    {
+        mimeType: 'video/mp4', ext: '.mp4', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4, // ....ftyp<brand>
+        check: (buffer) => MP4_BRANDS.includes(buffer.toString('latin1', 8, 12))
+    },
+    { mimeType: 'video/webm', ext: '.webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+    { mimeType: 'application/pdf', ext: '.pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+    { mimeType: 'application/zip', ext: '.zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+];
+
+// Allowed types per upload field. Chat attachments also accept anything else as an opaque
+// download (see GENERIC_FILE), since they are never served inline.
+const ALLOWED_TYPES = {
+    profilePic: ['image/jpeg', 'image/png', 'image/webp'],
+    mediaFile: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'video/mp4', 'video/webm'],
+    attachment: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'video/mp4', 'video/webm', 'application/pdf', 'application/zip'],
+};
+const GENERIC_FILE = { mimeType: 'application/octet-stream', ext: '' };
+
+// Resized variants generated per field: width x height (cover crop) or width only (fit inside)
+const IMAGE_VARIANTS = {
+    profilePic: { 'avatar-64': { width: 64, height: 64 }, 'avatar-128': { width: 128, height: 128 }, 'avatar-256': { width: 256, height: 256 } },
+    mediaFile: { thumbnail: { width: 480 } },
+    attachment: { thumbnail: { width: 480 } },
+};
+const MAX_IMAGE_DIMENSION = 2048; // The "full" variant is downscaled to fit this box
+const PLACEHOLDER_WIDTH = 16;
+
+/**
+ * Error for uploads rejected by the pipeline; `status` is the HTTP status to answer with.
+ */
+class UploadError extends Error {
+    constructor(message, status = 415) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+/**
+ * Detects a file's type from its leading bytes, ignoring the client's name and Content-Type.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Object|null} { mimeType, ext } or null if the type is not recognised.
+ */
+const sniffType = (buffer) => {
+    const match = SIGNATURES.find(({ bytes, offset = 0, check }) =>
+        buffer.length >= offset + bytes.length
+        && bytes.every((byte, i) => buffer[offset + i] === byte)
+        && (!check || check(buffer)));
+    return match ? { mimeType: match.mimeType, ext: match.ext } : null;
+};
+
+const kindOf = (mimeType) => {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    return 'file';
+};
+
+/**
+ * A tiny blurred WebP as a data URI, shown (stretched) while the real image loads.
+ */
+const buildPlaceholder = async (image) => {
+    const data = await image.clone().resize({ width: PLACEHOLDER_WIDTH }).blur().webp({ quality: 40 }).toBuffer();
+    return `data:image/webp;base64,${data.toString('base64')}`;
+};
+
+/**
+ * Re-encodes an image: applies the EXIF orientation, then writes the full-size copy and the
+ * field's variants. sharp drops all metadata (EXIF, GPS, XMP) unless asked to keep it.
+ * @returns {Promise<Object>} { width, height, sizeBytes, placeholder, files } of the full-size copy.
+ */
+const processImage = async (buffer, type, field, hash, directory) => {
+    // GIFs keep their animation; only their first frame is used for the variants
+    const animated = type.mimeType === 'image/gif';
+    const files = { full: `${hash}${type.ext}` };
+    const info = await sharp(buffer, { animated }).rotate()
+        .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .toFile(path.join(directory, files.full));
+    const width = info.width;
+    const height = info.pageHeight || info.height; // Animated output stacks its frames vertically
+
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS[field] || {})) {
+        files[name] = `${hash}-${name}.webp`;
+        await sharp(buffer).rotate()
+            .resize({ ...size, fit: size.height ? 'cover' : 'inside', withoutEnlargement: !size.height })
+            .webp({ quality: 80 })
+            .toFile(path.join(directory, files[name]));
+    }
+
+    return {
+        width,
+        height,
+        sizeBytes: info.size,
+        placeholder: await buildPlaceholder(sharp(buffer).rotate()),
+        files
+    };
+};
+
+/**
+ * Runs an upload through the pipeline and stores it in `directory`.
+ * @param {Object} file - The multer file (memory storage): { buffer, originalname, size }
+ * @param {string} field - The upload field, which selects the allow-list and variants.
+ * @param {string} directory - Where to write the stored files.
+ * @returns {Promise<Object>} { mimeType, kind, sizeBytes, width, height, placeholder, files }
+ *   where files maps variant name ('full', 'thumbnail', 'avatar-64', ...) to a file name.
+ *   width/height/placeholder are null for anything that is not an image.
+ * @throws {UploadError} If the content type is not allowed for the field.
+ */
+const processUpload = async (file, field, directory) => {
+    const allowed = ALLOWED_TYPES[field] || [];
+    let type = sniffType(file.buffer);
+    if (!type || !allowed.includes(type.mimeType)) {
+        if (field !== 'attachment') {
+            throw new UploadError(`Unsupported file type. Allowed: ${allowed.join(', ')}.`);
+        }
+        type = GENERIC_FILE;
+    }
+
+    const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const kind = kindOf(type.mimeType);
+    const result = { mimeType: type.mimeType, kind, sizeBytes: file.size, width: null, height: null, placeholder: null };
+
+    if (kind === 'image') {
+        try {
+            const processed = await processImage(file.buffer, type, field, hash, directory);
+            return { ...result, ...processed };
+        } catch (error) {
+            // The signature matched but the image itself is corrupt or truncated
+            throw new UploadError('The image could not be processed.', 422);
+        }
+    }
+
+    const files = { full: `${hash}${type.ext}` };
+    await fs.writeFile(path.join(directory, files.full), file.buffer);
+    return { ...result, files };
+};
+
+
+// --- MODULE EXPORTS ---
+module.exports = {
+    ALLOWED_TYPES,
+    UploadError,
+    sniffType,
+    processUpload,
+};
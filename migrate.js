@@ -0,0 +1,290 @@
+// --- SCHEMA MIGRATIONS ---
+// The schema is built by the numbered files in migrations/ ("001_users_and_sessions.js", ...),
+// applied in order. Each file exports { up, down }: lists of SQL statements run one at a time,
+// either one list for every database or one per driver dialect ({ mysql: [...], sqlite: [...] }).
+// Migrations written before the SQLite driver existed are MySQL-only; their SQLite statements are
+// in migrations/sqlite/ under the same file name, which overrides the "up"/"down" it defines.
+// Applied migrations are recorded in schema_migrations with a SHA-256 checksum of their file (plus
+// its override for the configured dialect, if any), so editing a migration after it ran is
+// detected; write a new migration instead.
+//
+// Usage: node migrate.js up [version]    Apply pending migrations (up to and including version)
+//        node migrate.js down [steps]    Revert the last applied migration(s) (1 by default)
+//        node migrate.js status          List migrations and whether they are applied
+//        node migrate.js baseline        Adopt a MySQL database created before migrations existed
+//                                        (see migrations/baseline.js), then run "up"
+//
+// MySQL commits schema changes immediately, so a migration that fails halfway is not recorded
+// and its earlier statements stay applied; fix the database (or the migration) before retrying.
+// The SQLite schema mirrors the MySQL one, minus what SQLite lacks (ENUM becomes a CHECK
+// constraint, FULLTEXT indexes are left out).
+
+require('dotenv').config(); // The command line needs the DB_DRIVER and DB_* variables too
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const BASELINE_FILE = 'baseline.js';
+
+const CREATE_MIGRATIONS_TABLE = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INT UNSIGNED NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (version)
+    )
+`;
+
+/**
+ * Path of the configured dialect's override of a migration file, or null if it has none.
+ */
+const findDialectFile = (file) => {
+    const dialectFile = path.join(MIGRATIONS_DIR, db.dialect, file);
+    return fs.existsSync(dialectFile) ? dialectFile : null;
+};
+
+/**
+ * Hashes a migration file together with its dialect override. Without an override the checksum
+ * is that of the file alone, as recorded before overrides existed.
+ */
+const checksumOf = (file) => {
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(path.join(MIGRATIONS_DIR, file)));
+    const dialectFile = findDialectFile(file);
+    if (dialectFile) {
+        hash.update(fs.readFileSync(dialectFile));
+    }
+    return hash.digest('hex');
+};
+
+/**
+ * Reads the migration files, ordered by version.
+ * @returns {Array<Object>} [{ version, name, file, checksum }]
+ */
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({
+            version: parseInt(match[1], 10),
+            name: match[2],
+            file,
+            checksum: checksumOf(file)
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((m, i) => {
+        if (i > 0 && m.version === migrations[i - 1].version) {
+            throw new Error(`Two migrations have version ${m.version}: ${migrations[i - 1].file} and ${m.file}.`);
+        }
+    });
+    return migrations;
+};
+
+/**
+ * The statements of a migration for the configured database.
+ * @param {'up'|'down'} direction
+ */
+const loadStatements = (migration, direction) => {
+    const dialectFile = findDialectFile(migration.file);
+    const override = dialectFile ? require(dialectFile)[direction] : undefined;
+    const defined = override || require(path.join(MIGRATIONS_DIR, migration.file))[direction];
+    const statements = Array.isArray(defined) ? defined : (defined || {})[db.dialect];
+    if (!Array.isArray(statements)) {
+        throw new Error(`${migration.file} has no "${direction}" statements for ${db.dialect}.`);
+    }
+    return statements;
+};
+
+/**
+ * Compares the migration files with what the database recorded.
+ * @returns {Promise<Object>} { migrations, pending, changed, missing } where migrations lists every
+ *   file with its state ('applied', 'pending' or 'changed'), changed the applied migrations whose
+ *   file was edited since, and missing the applied versions that have no file anymore.
+ */
+const getStatus = async () => {
+    await db.query(CREATE_MIGRATIONS_TABLE);
+    const rows = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    const applied = new Map(rows.map(r => [r.version, r]));
+    const migrations = loadMigrations().map(m => {
+        const row = applied.get(m.version);
+        const state = !row ? 'pending' : (row.checksum === m.checksum ? 'applied' : 'changed');
+        return { ...m, state, appliedAt: row ? row.applied_at : null };
+    });
+    const versions = new Set(migrations.map(m => m.version));
+    return {
+        migrations,
+        pending: migrations.filter(m => m.state === 'pending'),
+        changed: migrations.filter(m => m.state === 'changed'),
+        missing: rows.filter(r => !versions.has(r.version))
+    };
+};
+
+/**
+ * Fails if the recorded migrations do not match the files, as nothing can be applied safely then.
+ */
+const assertConsistent = ({ changed, missing }) => {
+    if (changed.length > 0) {
+        throw new Error(`Applied migrations were modified: ${changed.map(m => m.file).join(', ')}.`);
+    }
+    if (missing.length > 0) {
+        throw new Error(`Applied migrations are missing from ${MIGRATIONS_DIR}: ${missing.map(r => `${r.version}_${r.name}`).join(', ')}.`);
+    }
+};
+
+/**
+ * Applies the pending migrations in order.
+ * @param {number} [toVersion] - Stop after this version.
+ * @returns {Promise<Array<Object>>} The migrations applied.
+ */
+const migrateUp = async (toVersion = Infinity) => {
+    const status = await getStatus();
+    assertConsistent(status);
+    const lastApplied = status.migrations.filter(m => m.state === 'applied').pop();
+    const outOfOrder = lastApplied && status.pending.find(m => m.version < lastApplied.version);
+    if (outOfOrder) {
+        throw new Error(`${outOfOrder.file} is older than the applied migration ${lastApplied.file}; renumber it.`);
+    }
+
+    const toApply = status.pending.filter(m => m.version <= toVersion);
+    for (const migration of toApply) {
+        for (const sql of loadStatements(migration, 'up')) {
+            await db.query(sql);
+        }
+        await db.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+            [migration.version, migration.name, migration.checksum]
+        );
+        console.log(`Applied ${migration.file}`);
+    }
+    return toApply;
+};
+
+/**
+ * Reverts the most recently applied migrations, newest first.
+ * @param {number} [steps] - How many migrations to revert.
+ * @returns {Promise<Array<Object>>} The migrations reverted.
+ */
+const migrateDown = async (steps = 1) => {
+    const status = await getStatus();
+    assertConsistent(status);
+    const toRevert = status.migrations.filter(m => m.state === 'applied').reverse().slice(0, steps);
+    for (const migration of toRevert) {
+        for (const sql of loadStatements(migration, 'down')) {
+            await db.query(sql);
+        }
+        await db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        console.log(`Reverted ${migration.file}`);
+    }
+    return toRevert;
+};
+
+/**
+ * Adopts a database whose schema predates migrations: runs the baseline statements, then records
+ * the migrations up to the baseline's version as applied without running them.
+ * @returns {Promise<Array<Object>>} The migrations recorded.
+ */
+const baseline = async () => {
+    if (db.dialect !== 'mysql') {
+        throw new Error(`Only MySQL databases predate migrations; run "up" on ${db.dialect}.`);
+    }
+    const status = await getStatus();
+    if (status.pending.length < status.migrations.length || status.missing.length > 0) {
+        throw new Error('This database already records applied migrations; run "up" instead.');
+    }
+
+    const { version, mysql: statements } = require(path.join(MIGRATIONS_DIR, BASELINE_FILE));
+    const adopted = status.migrations.filter(m => m.version <= version);
+
+    // The adopted migrations are never run, so the tables they create must be there already
+    const createdTables = (sqls) => sqls
+        .map(sql => (sql.match(/^\s*CREATE TABLE (\w+)/i) || [])[1])
+        .filter(Boolean);
+    const rebuilt = new Set(createdTables(statements));
+    const rows = await db.query('SELECT table_name AS name FROM information_schema.tables WHERE table_schema = DATABASE()');
+    const existing = new Set(rows.map(r => r.name));
+    const absent = createdTables(adopted.flatMap(m => loadStatements(m, 'up')))
+        .filter(table => !existing.has(table) && !rebuilt.has(table));
+    if (absent.length > 0) {
+        throw new Error(`Not a database from before migrations, tables are missing: ${absent.join(', ')}. Run "up" on an empty database instead.`);
+    }
+
+    for (const sql of statements) {
+        await db.query(sql);
+    }
+    for (const migration of adopted) {
+        await db.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+            [migration.version, migration.name, migration.checksum]
+        );
+        console.log(`Recorded ${migration.file} as applied`);
+    }
+    return adopted;
+};
+
+/**
+ * Resolves if the database schema is up to date; otherwise rejects with what is wrong.
+ * The server runs this before it starts serving.
+ */
+const checkSchema = async () => {
+    const status = await getStatus();
+    assertConsistent(status);
+    if (status.pending.length > 0) {
+        const fromScratch = status.pending.length === status.migrations.length
+            ? ' (for a database created before migrations, run "npm run migrate:baseline" first)'
+            : '';
+        throw new Error(`${status.pending.length} migration(s) pending (${status.pending.map(m => m.file).join(', ')}). Run "npm run migrate:up"${fromScratch}.`);
+    }
+};
+
+const printStatus = async () => {
+    const { migrations, missing } = await getStatus();
+    migrations.forEach(m => {
+        const appliedAt = m.appliedAt ? ` (${new Date(m.appliedAt).toISOString()})` : '';
+        console.log(`${m.state.padEnd(8)} ${m.file}${appliedAt}`);
+    });
+    missing.forEach(r => console.log(`missing  ${r.version}_${r.name} (applied, but the file is gone)`));
+};
+
+
+// --- COMMAND LINE ---
+
+if (require.main === module) {
+    const [command, arg] = process.argv.slice(2);
+    const commands = {
+        up: () => migrateUp(arg ? parseInt(arg, 10) : Infinity).then(applied => {
+            if (applied.length === 0) console.log('Nothing to migrate.');
+        }),
+        down: () => migrateDown(arg ? parseInt(arg, 10) : 1).then(reverted => {
+            if (reverted.length === 0) console.log('Nothing to revert.');
+        }),
+        status: printStatus,
+        baseline
+    };
+    if (!commands[command]) {
+        console.error('Usage: node migrate.js up [version] | down [steps] | status | baseline');
+        process.exit(1);
+    }
+    commands[command]()
+        .then(() => db.closePool())
+        .catch(err => {
+            console.error(`Migration failed: ${err.message}`);
+            process.exitCode = 1;
+            return db.closePool();
+        });
+}
+
+
+// --- MODULE EXPORTS ---
+module.exports = {
+    loadMigrations,
+    getStatus,
+    migrateUp,
+    migrateDown,
+    baseline,
+    checkSchema,
+};
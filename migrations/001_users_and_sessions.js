@@ -0,0 +1,67 @@
+// Accounts, login sessions (refresh tokens) and the single-use tokens emailed for password
+// resets and email verification. Only SHA-256 digests of tokens are stored (auth.hashToken).
+
+module.exports = {
+    up: [
+        `CREATE TABLE users (
+            user_id CHAR(36) NOT NULL,
+            email VARCHAR(255) NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            username VARCHAR(30) NOT NULL,
+            display_name VARCHAR(50) NULL,
+            bio VARCHAR(300) NULL,
+            website VARCHAR(200) NULL,
+            profile_pic_url VARCHAR(2048) NULL,
+            role ENUM('user', 'admin') NOT NULL DEFAULT 'user',
+            email_verified_at DATETIME NULL,
+            suspended_until DATETIME NULL,
+            suspension_reason VARCHAR(1000) NULL,
+            last_seen_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id),
+            UNIQUE KEY uq_users_email (email),
+            UNIQUE KEY uq_users_username (username),
+            FULLTEXT KEY ft_users_username (username)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE refresh_tokens (
+            token_hash CHAR(64) NOT NULL,
+            session_id CHAR(36) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (token_hash),
+            KEY idx_refresh_tokens_session (session_id),
+            KEY idx_refresh_tokens_user (user_id),
+            CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE password_reset_tokens (
+            token_hash CHAR(64) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (token_hash),
+            KEY idx_password_reset_tokens_user (user_id),
+            CONSTRAINT fk_password_reset_tokens_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE email_verification_tokens (
+            token_hash CHAR(64) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (token_hash),
+            KEY idx_email_verification_tokens_user (user_id),
+            CONSTRAINT fk_email_verification_tokens_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS email_verification_tokens',
+        'DROP TABLE IF EXISTS password_reset_tokens',
+        'DROP TABLE IF EXISTS refresh_tokens',
+        'DROP TABLE IF EXISTS users'
+    ]
+};
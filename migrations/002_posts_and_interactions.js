@@ -0,0 +1,80 @@
+// Posts, threaded comments, emoji reactions and the follow graph.
+// posts.username and comments.username are copies of the author's name taken when the row was
+// written; queries read the current name from users.
+
+module.exports = {
+    up: [
+        `CREATE TABLE posts (
+            id CHAR(36) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            username VARCHAR(30) NOT NULL,
+            content TEXT NULL,
+            media_url VARCHAR(2048) NULL,
+            media_thumbnail_url VARCHAR(2048) NULL,
+            media_width INT UNSIGNED NULL,
+            media_height INT UNSIGNED NULL,
+            media_placeholder TEXT NULL,
+            hidden_at DATETIME NULL,
+            removed_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY idx_posts_created (created_at, id),
+            KEY idx_posts_user_created (user_id, created_at, id),
+            FULLTEXT KEY ft_posts_content (content),
+            CONSTRAINT fk_posts_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE comments (
+            comment_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            post_id CHAR(36) NOT NULL,
+            parent_id INT UNSIGNED NULL,
+            user_id CHAR(36) NOT NULL,
+            username VARCHAR(30) NOT NULL,
+            comment_text TEXT NOT NULL,
+            edited_at DATETIME NULL,
+            deleted_at DATETIME NULL,
+            deleted_by CHAR(36) NULL,
+            hidden_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (comment_id),
+            KEY idx_comments_thread (post_id, parent_id, created_at, comment_id),
+            KEY idx_comments_parent (parent_id),
+            KEY idx_comments_user (user_id),
+            CONSTRAINT fk_comments_post FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE CASCADE,
+            CONSTRAINT fk_comments_parent FOREIGN KEY (parent_id) REFERENCES comments (comment_id) ON DELETE CASCADE,
+            CONSTRAINT fk_comments_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_comments_deleted_by FOREIGN KEY (deleted_by) REFERENCES users (user_id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        // Reactions target posts or chat messages, so target_id has no foreign key. Emoji are
+        // compared byte for byte: the unicode collation treats many different emoji as equal.
+        `CREATE TABLE reactions (
+            target_type ENUM('post', 'message') NOT NULL,
+            target_id VARCHAR(36) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            emoji VARCHAR(32) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (target_type, target_id, user_id, emoji),
+            KEY idx_reactions_target_emoji (target_type, target_id, emoji, created_at),
+            KEY idx_reactions_user (user_id),
+            CONSTRAINT fk_reactions_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE follows (
+            follower_id CHAR(36) NOT NULL,
+            followee_id CHAR(36) NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (follower_id, followee_id),
+            KEY idx_follows_followee (followee_id, created_at),
+            CONSTRAINT fk_follows_follower FOREIGN KEY (follower_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_follows_followee FOREIGN KEY (followee_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS follows',
+        'DROP TABLE IF EXISTS reactions',
+        'DROP TABLE IF EXISTS comments',
+        'DROP TABLE IF EXISTS posts'
+    ]
+};
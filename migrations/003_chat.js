@@ -0,0 +1,92 @@
+// Presence and chat: one online_users row per connected socket, conversations (direct or group)
+// with their members, messages with delivery and read receipts, and uploaded attachments.
+
+module.exports = {
+    up: [
+        `CREATE TABLE online_users (
+            socket_id VARCHAR(64) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            username VARCHAR(30) NOT NULL,
+            status ENUM('online', 'away') NOT NULL DEFAULT 'online',
+            connected_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (socket_id),
+            KEY idx_online_users_user (user_id),
+            CONSTRAINT fk_online_users_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        // direct_key is "<lower user id>:<higher user id>" for direct conversations, NULL for groups
+        `CREATE TABLE conversations (
+            conversation_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            type ENUM('direct', 'group') NOT NULL,
+            direct_key VARCHAR(73) NULL,
+            name VARCHAR(100) NULL,
+            created_by CHAR(36) NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (conversation_id),
+            UNIQUE KEY uq_conversations_direct_key (direct_key),
+            CONSTRAINT fk_conversations_created_by FOREIGN KEY (created_by) REFERENCES users (user_id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE messages (
+            message_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            conversation_id INT UNSIGNED NOT NULL,
+            sender_id CHAR(36) NOT NULL,
+            recipient_id CHAR(36) NULL,
+            message_text TEXT NULL,
+            type ENUM('text', 'image', 'video', 'file') NOT NULL DEFAULT 'text',
+            delivered_at DATETIME NULL,
+            read_at DATETIME NULL,
+            removed_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (message_id),
+            KEY idx_messages_conversation (conversation_id, created_at, message_id),
+            KEY idx_messages_recipient (recipient_id, delivered_at),
+            KEY idx_messages_sender (sender_id),
+            CONSTRAINT fk_messages_conversation FOREIGN KEY (conversation_id) REFERENCES conversations (conversation_id) ON DELETE CASCADE,
+            CONSTRAINT fk_messages_sender FOREIGN KEY (sender_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_messages_recipient FOREIGN KEY (recipient_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE conversation_members (
+            conversation_id INT UNSIGNED NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            role ENUM('member', 'admin') NOT NULL DEFAULT 'member',
+            last_read_message_id INT UNSIGNED NULL,
+            joined_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (conversation_id, user_id),
+            KEY idx_conversation_members_user (user_id),
+            CONSTRAINT fk_conversation_members_conversation FOREIGN KEY (conversation_id) REFERENCES conversations (conversation_id) ON DELETE CASCADE,
+            CONSTRAINT fk_conversation_members_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        // message_id stays NULL from the upload until the message it is sent with is saved
+        `CREATE TABLE attachments (
+            attachment_id CHAR(36) NOT NULL,
+            uploader_id CHAR(36) NOT NULL,
+            message_id INT UNSIGNED NULL,
+            storage_path VARCHAR(255) NOT NULL,
+            thumbnail_path VARCHAR(255) NULL,
+            original_name VARCHAR(255) NOT NULL,
+            mime_type VARCHAR(100) NOT NULL,
+            size_bytes INT UNSIGNED NOT NULL,
+            kind ENUM('image', 'video', 'file') NOT NULL,
+            width INT UNSIGNED NULL,
+            height INT UNSIGNED NULL,
+            placeholder TEXT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (attachment_id),
+            KEY idx_attachments_message (message_id),
+            KEY idx_attachments_uploader (uploader_id, created_at),
+            CONSTRAINT fk_attachments_uploader FOREIGN KEY (uploader_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_attachments_message FOREIGN KEY (message_id) REFERENCES messages (message_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS attachments',
+        'DROP TABLE IF EXISTS conversation_members',
+        'DROP TABLE IF EXISTS messages',
+        'DROP TABLE IF EXISTS conversations',
+        'DROP TABLE IF EXISTS online_users'
+    ]
+};
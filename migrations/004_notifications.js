@@ -0,0 +1,43 @@
+// In-app notifications (emailed as digests while the user is away) and per-type preferences.
+// Preferences only have rows where they differ from the default (both channels on).
+
+module.exports = {
+    up: [
+        `CREATE TABLE notifications (
+            notification_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            user_id CHAR(36) NOT NULL,
+            actor_id CHAR(36) NOT NULL,
+            type ENUM('like', 'comment', 'mention', 'follow', 'message') NOT NULL,
+            post_id CHAR(36) NULL,
+            comment_id INT UNSIGNED NULL,
+            conversation_id INT UNSIGNED NULL,
+            preview VARCHAR(255) NULL,
+            read_at DATETIME NULL,
+            emailed_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (notification_id),
+            KEY idx_notifications_user (user_id, created_at, notification_id),
+            KEY idx_notifications_user_unread (user_id, read_at),
+            KEY idx_notifications_digest (read_at, emailed_at, created_at),
+            CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_notifications_actor FOREIGN KEY (actor_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_notifications_post FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE CASCADE,
+            CONSTRAINT fk_notifications_comment FOREIGN KEY (comment_id) REFERENCES comments (comment_id) ON DELETE CASCADE,
+            CONSTRAINT fk_notifications_conversation FOREIGN KEY (conversation_id) REFERENCES conversations (conversation_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE notification_preferences (
+            user_id CHAR(36) NOT NULL,
+            type ENUM('like', 'comment', 'mention', 'follow', 'message') NOT NULL,
+            in_app BOOLEAN NOT NULL DEFAULT TRUE,
+            email BOOLEAN NOT NULL DEFAULT TRUE,
+            PRIMARY KEY (user_id, type),
+            CONSTRAINT fk_notification_preferences_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS notification_preferences',
+        'DROP TABLE IF EXISTS notifications'
+    ]
+};
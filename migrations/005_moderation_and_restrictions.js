@@ -0,0 +1,73 @@
+// Content reports and the moderators' audit log, and the per-user block and mute lists.
+// Reports and log entries point at posts, comments, messages or users, so target_id has no
+// foreign key; the log keeps its entries when the report they came from is deleted.
+
+module.exports = {
+    up: [
+        `CREATE TABLE reports (
+            report_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            reporter_id CHAR(36) NOT NULL,
+            target_type ENUM('post', 'comment', 'message', 'user') NOT NULL,
+            target_id VARCHAR(36) NOT NULL,
+            target_user_id CHAR(36) NULL,
+            reason ENUM('spam', 'harassment', 'hate', 'violence', 'nudity', 'self_harm', 'misinformation', 'other') NOT NULL,
+            details VARCHAR(1000) NULL,
+            content_snapshot TEXT NULL,
+            status ENUM('open', 'resolved', 'dismissed') NOT NULL DEFAULT 'open',
+            resolution VARCHAR(32) NULL,
+            resolved_by CHAR(36) NULL,
+            resolved_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (report_id),
+            KEY idx_reports_queue (status, created_at, report_id),
+            KEY idx_reports_target (target_type, target_id, status),
+            KEY idx_reports_reporter (reporter_id),
+            CONSTRAINT fk_reports_reporter FOREIGN KEY (reporter_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_reports_target_user FOREIGN KEY (target_user_id) REFERENCES users (user_id) ON DELETE SET NULL,
+            CONSTRAINT fk_reports_resolved_by FOREIGN KEY (resolved_by) REFERENCES users (user_id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE moderation_log (
+            log_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            moderator_id CHAR(36) NOT NULL,
+            action VARCHAR(32) NOT NULL,
+            target_type ENUM('post', 'comment', 'message', 'user') NOT NULL,
+            target_id VARCHAR(36) NOT NULL,
+            report_id INT UNSIGNED NULL,
+            note VARCHAR(1000) NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (log_id),
+            KEY idx_moderation_log_created (created_at, log_id),
+            KEY idx_moderation_log_target (target_type, target_id),
+            CONSTRAINT fk_moderation_log_moderator FOREIGN KEY (moderator_id) REFERENCES users (user_id),
+            CONSTRAINT fk_moderation_log_report FOREIGN KEY (report_id) REFERENCES reports (report_id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE user_blocks (
+            blocker_id CHAR(36) NOT NULL,
+            blocked_id CHAR(36) NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (blocker_id, blocked_id),
+            KEY idx_user_blocks_blocked (blocked_id),
+            CONSTRAINT fk_user_blocks_blocker FOREIGN KEY (blocker_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_user_blocks_blocked FOREIGN KEY (blocked_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE user_mutes (
+            muter_id CHAR(36) NOT NULL,
+            muted_id CHAR(36) NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (muter_id, muted_id),
+            KEY idx_user_mutes_muted (muted_id),
+            CONSTRAINT fk_user_mutes_muter FOREIGN KEY (muter_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_user_mutes_muted FOREIGN KEY (muted_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS user_mutes',
+        'DROP TABLE IF EXISTS user_blocks',
+        'DROP TABLE IF EXISTS moderation_log',
+        'DROP TABLE IF EXISTS reports'
+    ]
+};
@@ -0,0 +1,40 @@
+// The #hashtags and @mentions of posts and comments (see entities.js). post_id is the post itself
+// or the post a comment is on, so deleting a post drops the entities of its comments too.
+
+module.exports = {
+    up: [
+        // Tags are stored lowercased and NFC-normalized, and compared byte for byte
+        `CREATE TABLE hashtags (
+            target_type ENUM('post', 'comment') NOT NULL,
+            target_id VARCHAR(36) NOT NULL,
+            post_id CHAR(36) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            tag VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (target_type, target_id, tag),
+            KEY idx_hashtags_tag (tag, created_at),
+            KEY idx_hashtags_created (created_at),
+            CONSTRAINT fk_hashtags_post FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE CASCADE,
+            CONSTRAINT fk_hashtags_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        `CREATE TABLE mentions (
+            target_type ENUM('post', 'comment') NOT NULL,
+            target_id VARCHAR(36) NOT NULL,
+            post_id CHAR(36) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            mentioned_user_id CHAR(36) NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (target_type, target_id, mentioned_user_id),
+            KEY idx_mentions_mentioned (mentioned_user_id, created_at),
+            CONSTRAINT fk_mentions_post FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE CASCADE,
+            CONSTRAINT fk_mentions_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_mentions_mentioned_user FOREIGN KEY (mentioned_user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS mentions',
+        'DROP TABLE IF EXISTS hashtags'
+    ]
+};
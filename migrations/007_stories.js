@@ -0,0 +1,68 @@
+// Stories: image, video or text items shown in a tray above the feed until expires_at (24 hours
+// after posting), when a background job deletes them and their unused files. story_views
+// records who has seen each story, for the seen state and the author's viewer list.
+
+module.exports = {
+    up: {
+        mysql: [
+            `CREATE TABLE stories (
+                id CHAR(36) NOT NULL,
+                user_id CHAR(36) NOT NULL,
+                type ENUM('image', 'video', 'text') NOT NULL,
+                text TEXT NULL,
+                media_url VARCHAR(2048) NULL,
+                media_thumbnail_url VARCHAR(2048) NULL,
+                media_width INT UNSIGNED NULL,
+                media_height INT UNSIGNED NULL,
+                media_placeholder TEXT NULL,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                PRIMARY KEY (id),
+                KEY idx_stories_user_expires (user_id, expires_at),
+                KEY idx_stories_expires (expires_at),
+                CONSTRAINT fk_stories_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+            `CREATE TABLE story_views (
+                story_id CHAR(36) NOT NULL,
+                viewer_id CHAR(36) NOT NULL,
+                viewed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (story_id, viewer_id),
+                KEY idx_story_views_viewer (viewer_id),
+                CONSTRAINT fk_story_views_story FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE CASCADE,
+                CONSTRAINT fk_story_views_viewer FOREIGN KEY (viewer_id) REFERENCES users (user_id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+        ],
+
+        sqlite: [
+            `CREATE TABLE stories (
+                id TEXT NOT NULL PRIMARY KEY,
+                user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+                type TEXT NOT NULL CHECK (type IN ('image', 'video', 'text')),
+                text TEXT NULL,
+                media_url TEXT NULL,
+                media_thumbnail_url TEXT NULL,
+                media_width INTEGER NULL,
+                media_height INTEGER NULL,
+                media_placeholder TEXT NULL,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL
+            )`,
+            'CREATE INDEX idx_stories_user_expires ON stories (user_id, expires_at)',
+            'CREATE INDEX idx_stories_expires ON stories (expires_at)',
+
+            `CREATE TABLE story_views (
+                story_id TEXT NOT NULL REFERENCES stories (id) ON DELETE CASCADE,
+                viewer_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+                viewed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (story_id, viewer_id)
+            )`,
+            'CREATE INDEX idx_story_views_viewer ON story_views (viewer_id)'
+        ]
+    },
+
+    down: [
+        'DROP TABLE IF EXISTS story_views',
+        'DROP TABLE IF EXISTS stories'
+    ]
+};
@@ -0,0 +1,39 @@
+// Post editing: posts.edited_at marks edited posts, and post_edits keeps every earlier text of a
+// post, each with the time it was first shown (written_at) and replaced (replaced_at).
+
+module.exports = {
+    up: {
+        mysql: [
+            'ALTER TABLE posts ADD COLUMN edited_at DATETIME NULL AFTER removed_at',
+
+            `CREATE TABLE post_edits (
+                edit_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                post_id CHAR(36) NOT NULL,
+                content TEXT NULL,
+                written_at DATETIME NOT NULL,
+                replaced_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (edit_id),
+                KEY idx_post_edits_post (post_id, edit_id),
+                CONSTRAINT fk_post_edits_post FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+        ],
+
+        sqlite: [
+            'ALTER TABLE posts ADD COLUMN edited_at DATETIME NULL',
+
+            `CREATE TABLE post_edits (
+                edit_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                post_id TEXT NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+                content TEXT NULL,
+                written_at DATETIME NOT NULL,
+                replaced_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )`,
+            'CREATE INDEX idx_post_edits_post ON post_edits (post_id, edit_id)'
+        ]
+    },
+
+    down: [
+        'DROP TABLE IF EXISTS post_edits',
+        'ALTER TABLE posts DROP COLUMN edited_at'
+    ]
+};
@@ -0,0 +1,45 @@
+// Brings a MySQL database created before migrations existed (by hand, from the app's queries)
+// in line with migrations 001-006, which "node migrate.js baseline" then records as applied
+// instead of running them. Every statement can be run again, so a failed baseline can be retried.
+// This file has no version number, so "up" never picks it up.
+
+module.exports = {
+    // The last migration the legacy schema corresponds to
+    version: 6,
+
+    mysql: [
+        // Presence rows only live as long as their socket, so the table is rebuilt rather than
+        // migrated (it used to have userId and socketId columns)
+        'DROP TABLE IF EXISTS online_users',
+        `CREATE TABLE online_users (
+            socket_id VARCHAR(64) NOT NULL,
+            user_id CHAR(36) NOT NULL,
+            username VARCHAR(30) NOT NULL,
+            status ENUM('online', 'away') NOT NULL DEFAULT 'online',
+            connected_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (socket_id),
+            KEY idx_online_users_user (user_id),
+            CONSTRAINT fk_online_users_user FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+
+        // One-to-one messages sent before conversations existed have no conversation_id: move each
+        // pair's history into their direct conversation (direct_key is "<lower id>:<higher id>")
+        `INSERT IGNORE INTO conversations (type, direct_key, created_at)
+         SELECT 'direct', CONCAT(LEAST(sender_id, recipient_id), ':', GREATEST(sender_id, recipient_id)), MIN(created_at)
+         FROM messages
+         WHERE conversation_id IS NULL AND recipient_id IS NOT NULL
+         GROUP BY CONCAT(LEAST(sender_id, recipient_id), ':', GREATEST(sender_id, recipient_id))`,
+        `INSERT IGNORE INTO conversation_members (conversation_id, user_id, role, joined_at)
+         SELECT conversation_id, SUBSTRING_INDEX(direct_key, ':', 1), 'member', created_at
+         FROM conversations WHERE type = 'direct'
+         UNION ALL
+         SELECT conversation_id, SUBSTRING_INDEX(direct_key, ':', -1), 'member', created_at
+         FROM conversations WHERE type = 'direct'`,
+        `UPDATE messages m
+         JOIN conversations c ON c.direct_key = CONCAT(LEAST(m.sender_id, m.recipient_id), ':', GREATEST(m.sender_id, m.recipient_id))
+         SET m.conversation_id = c.conversation_id
+         WHERE m.conversation_id IS NULL`,
+        // Fails if a message could not be moved (no recipient and no conversation); fix those rows first
+        'ALTER TABLE messages MODIFY conversation_id INT UNSIGNED NOT NULL'
+    ]
+};
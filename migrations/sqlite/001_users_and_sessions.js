@@ -0,0 +1,52 @@
+// SQLite statements of ../001_users_and_sessions.js, which predates the SQLite driver and keeps its original
+// MySQL-only content (see migrate.js). Its "down" statements work on both databases.
+
+module.exports = {
+    up: [
+        `CREATE TABLE users (
+            user_id TEXT NOT NULL PRIMARY KEY,
+            email TEXT NOT NULL COLLATE NOCASE,
+            password_hash TEXT NOT NULL,
+            username TEXT NOT NULL COLLATE NOCASE,
+            display_name TEXT NULL,
+            bio TEXT NULL,
+            website TEXT NULL,
+            profile_pic_url TEXT NULL,
+            role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+            email_verified_at DATETIME NULL,
+            suspended_until DATETIME NULL,
+            suspension_reason TEXT NULL,
+            last_seen_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT uq_users_email UNIQUE (email),
+            CONSTRAINT uq_users_username UNIQUE (username)
+        )`,
+
+        `CREATE TABLE refresh_tokens (
+            token_hash TEXT NOT NULL PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_refresh_tokens_session ON refresh_tokens (session_id)',
+        'CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id)',
+
+        `CREATE TABLE password_reset_tokens (
+            token_hash TEXT NOT NULL PRIMARY KEY,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens (user_id)',
+
+        `CREATE TABLE email_verification_tokens (
+            token_hash TEXT NOT NULL PRIMARY KEY,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_email_verification_tokens_user ON email_verification_tokens (user_id)'
+    ]
+};
@@ -0,0 +1,59 @@
+// SQLite statements of ../002_posts_and_interactions.js, which predates the SQLite driver and keeps its original
+// MySQL-only content (see migrate.js). Its "down" statements work on both databases.
+
+module.exports = {
+    up: [
+        `CREATE TABLE posts (
+            id TEXT NOT NULL PRIMARY KEY,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            username TEXT NOT NULL,
+            content TEXT NULL,
+            media_url TEXT NULL,
+            media_thumbnail_url TEXT NULL,
+            media_width INTEGER NULL,
+            media_height INTEGER NULL,
+            media_placeholder TEXT NULL,
+            hidden_at DATETIME NULL,
+            removed_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_posts_created ON posts (created_at, id)',
+        'CREATE INDEX idx_posts_user_created ON posts (user_id, created_at, id)',
+
+        `CREATE TABLE comments (
+            comment_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            post_id TEXT NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            parent_id INTEGER NULL REFERENCES comments (comment_id) ON DELETE CASCADE,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            username TEXT NOT NULL,
+            comment_text TEXT NOT NULL,
+            edited_at DATETIME NULL,
+            deleted_at DATETIME NULL,
+            deleted_by TEXT NULL REFERENCES users (user_id) ON DELETE SET NULL,
+            hidden_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_comments_thread ON comments (post_id, parent_id, created_at, comment_id)',
+        'CREATE INDEX idx_comments_parent ON comments (parent_id)',
+        'CREATE INDEX idx_comments_user ON comments (user_id)',
+
+        `CREATE TABLE reactions (
+            target_type TEXT NOT NULL CHECK (target_type IN ('post', 'message')),
+            target_id TEXT NOT NULL,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            emoji TEXT NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (target_type, target_id, user_id, emoji)
+        )`,
+        'CREATE INDEX idx_reactions_target_emoji ON reactions (target_type, target_id, emoji, created_at)',
+        'CREATE INDEX idx_reactions_user ON reactions (user_id)',
+
+        `CREATE TABLE follows (
+            follower_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            followee_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (follower_id, followee_id)
+        )`,
+        'CREATE INDEX idx_follows_followee ON follows (followee_id, created_at)'
+    ]
+};
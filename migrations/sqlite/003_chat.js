@@ -0,0 +1,69 @@
+// SQLite statements of ../003_chat.js, which predates the SQLite driver and keeps its original
+// MySQL-only content (see migrate.js). Its "down" statements work on both databases.
+
+module.exports = {
+    up: [
+        `CREATE TABLE online_users (
+            socket_id TEXT NOT NULL PRIMARY KEY,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            username TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'online' CHECK (status IN ('online', 'away')),
+            connected_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_online_users_user ON online_users (user_id)',
+
+        `CREATE TABLE conversations (
+            conversation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL CHECK (type IN ('direct', 'group')),
+            direct_key TEXT NULL,
+            name TEXT NULL,
+            created_by TEXT NULL REFERENCES users (user_id) ON DELETE SET NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT uq_conversations_direct_key UNIQUE (direct_key)
+        )`,
+
+        `CREATE TABLE messages (
+            message_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id INTEGER NOT NULL REFERENCES conversations (conversation_id) ON DELETE CASCADE,
+            sender_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            recipient_id TEXT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            message_text TEXT NULL,
+            type TEXT NOT NULL DEFAULT 'text' CHECK (type IN ('text', 'image', 'video', 'file')),
+            delivered_at DATETIME NULL,
+            read_at DATETIME NULL,
+            removed_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_messages_conversation ON messages (conversation_id, created_at, message_id)',
+        'CREATE INDEX idx_messages_recipient ON messages (recipient_id, delivered_at)',
+        'CREATE INDEX idx_messages_sender ON messages (sender_id)',
+
+        `CREATE TABLE conversation_members (
+            conversation_id INTEGER NOT NULL REFERENCES conversations (conversation_id) ON DELETE CASCADE,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('member', 'admin')),
+            last_read_message_id INTEGER NULL,
+            joined_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (conversation_id, user_id)
+        )`,
+        'CREATE INDEX idx_conversation_members_user ON conversation_members (user_id)',
+
+        `CREATE TABLE attachments (
+            attachment_id TEXT NOT NULL PRIMARY KEY,
+            uploader_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            message_id INTEGER NULL REFERENCES messages (message_id) ON DELETE CASCADE,
+            storage_path TEXT NOT NULL,
+            thumbnail_path TEXT NULL,
+            original_name TEXT NOT NULL,
+            mime_type TEXT NOT NULL,
+            size_bytes INTEGER NOT NULL,
+            kind TEXT NOT NULL CHECK (kind IN ('image', 'video', 'file')),
+            width INTEGER NULL,
+            height INTEGER NULL,
+            placeholder TEXT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_attachments_message ON attachments (message_id)',
+        'CREATE INDEX idx_attachments_uploader ON attachments (uploader_id, created_at)'
+    ]
+};
@@ -0,0 +1,31 @@
+// SQLite statements of ../004_notifications.js, which predates the SQLite driver and keeps its original
+// MySQL-only content (see migrate.js). Its "down" statements work on both databases.
+
+module.exports = {
+    up: [
+        `CREATE TABLE notifications (
+            notification_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            actor_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            type TEXT NOT NULL CHECK (type IN ('like', 'comment', 'mention', 'follow', 'message')),
+            post_id TEXT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            comment_id INTEGER NULL REFERENCES comments (comment_id) ON DELETE CASCADE,
+            conversation_id INTEGER NULL REFERENCES conversations (conversation_id) ON DELETE CASCADE,
+            preview TEXT NULL,
+            read_at DATETIME NULL,
+            emailed_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_notifications_user ON notifications (user_id, created_at, notification_id)',
+        'CREATE INDEX idx_notifications_user_unread ON notifications (user_id, read_at)',
+        'CREATE INDEX idx_notifications_digest ON notifications (read_at, emailed_at, created_at)',
+
+        `CREATE TABLE notification_preferences (
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            type TEXT NOT NULL CHECK (type IN ('like', 'comment', 'mention', 'follow', 'message')),
+            in_app INTEGER NOT NULL DEFAULT 1,
+            email INTEGER NOT NULL DEFAULT 1,
+            PRIMARY KEY (user_id, type)
+        )`
+    ]
+};
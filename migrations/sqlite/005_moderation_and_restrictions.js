@@ -0,0 +1,54 @@
+// SQLite statements of ../005_moderation_and_restrictions.js, which predates the SQLite driver and keeps its original
+// MySQL-only content (see migrate.js). Its "down" statements work on both databases.
+
+module.exports = {
+    up: [
+        `CREATE TABLE reports (
+            report_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            reporter_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            target_type TEXT NOT NULL CHECK (target_type IN ('post', 'comment', 'message', 'user')),
+            target_id TEXT NOT NULL,
+            target_user_id TEXT NULL REFERENCES users (user_id) ON DELETE SET NULL,
+            reason TEXT NOT NULL CHECK (reason IN ('spam', 'harassment', 'hate', 'violence', 'nudity', 'self_harm', 'misinformation', 'other')),
+            details TEXT NULL,
+            content_snapshot TEXT NULL,
+            status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+            resolution TEXT NULL,
+            resolved_by TEXT NULL REFERENCES users (user_id) ON DELETE SET NULL,
+            resolved_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_reports_queue ON reports (status, created_at, report_id)',
+        'CREATE INDEX idx_reports_target ON reports (target_type, target_id, status)',
+        'CREATE INDEX idx_reports_reporter ON reports (reporter_id)',
+
+        `CREATE TABLE moderation_log (
+            log_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            moderator_id TEXT NOT NULL REFERENCES users (user_id),
+            action TEXT NOT NULL,
+            target_type TEXT NOT NULL CHECK (target_type IN ('post', 'comment', 'message', 'user')),
+            target_id TEXT NOT NULL,
+            report_id INTEGER NULL REFERENCES reports (report_id) ON DELETE SET NULL,
+            note TEXT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )`,
+        'CREATE INDEX idx_moderation_log_created ON moderation_log (created_at, log_id)',
+        'CREATE INDEX idx_moderation_log_target ON moderation_log (target_type, target_id)',
+
+        `CREATE TABLE user_blocks (
+            blocker_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            blocked_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (blocker_id, blocked_id)
+        )`,
+        'CREATE INDEX idx_user_blocks_blocked ON user_blocks (blocked_id)',
+
+        `CREATE TABLE user_mutes (
+            muter_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            muted_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (muter_id, muted_id)
+        )`,
+        'CREATE INDEX idx_user_mutes_muted ON user_mutes (muted_id)'
+    ]
+};
@@ -0,0 +1,29 @@
+// SQLite statements of ../006_hashtags_and_mentions.js, which predates the SQLite driver and keeps its original
+// MySQL-only content (see migrate.js). Its "down" statements work on both databases.
+
+module.exports = {
+    up: [
+        `CREATE TABLE hashtags (
+            target_type TEXT NOT NULL CHECK (target_type IN ('post', 'comment')),
+            target_id TEXT NOT NULL,
+            post_id TEXT NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            tag TEXT NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (target_type, target_id, tag)
+        )`,
+        'CREATE INDEX idx_hashtags_tag ON hashtags (tag, created_at)',
+        'CREATE INDEX idx_hashtags_created ON hashtags (created_at)',
+
+        `CREATE TABLE mentions (
+            target_type TEXT NOT NULL CHECK (target_type IN ('post', 'comment')),
+            target_id TEXT NOT NULL,
+            post_id TEXT NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+            user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            mentioned_user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (target_type, target_id, mentioned_user_id)
+        )`,
+        'CREATE INDEX idx_mentions_mentioned ON mentions (mentioned_user_id, created_at)'
+    ]
+};
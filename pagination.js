@@ -0,0 +1,98 @@
+// --- KEYSET (CURSOR) PAGINATION HELPERS ---
+// Used by the feed and chat history. A cursor encodes the (created_at, id) of the last row
+// of a page; the next page starts strictly after it, so rows inserted in the meantime never
+// shift results or produce duplicates the way OFFSET paging would.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encodes the position of a row as an opaque cursor string.
+ * @param {Date|string} createdAt - The row's created_at value.
+ * @param {string|number} id - The row's primary key (tie-breaker for equal timestamps).
+ * @returns {string} URL-safe cursor.
+ */
+const encodeCursor = (createdAt, id) => {
+    return Buffer.from(JSON.stringify([new Date(createdAt).toISOString(), id])).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * @param {string} cursor - The cursor sent by the client.
+ * @returns {Object|null} { createdAt: Date, id } or null if the cursor is missing or malformed.
+ */
+const decodeCursor = (cursor) => {
+    if (!cursor || typeof cursor !== 'string') {
+        return null;
+    }
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const date = new Date(createdAt);
+        if (Number.isNaN(date.getTime()) || id === undefined || id === null) {
+            return null;
+        }
+        return { createdAt: date, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Cursor for ranked lists, which have no stable keyset: it pins the moment the ranking
+ * was computed (asOf) and the offset into it, so later pages are ranked the same way.
+ * @param {Date|string} asOf - When the first page was ranked.
+ * @param {number} offset - Number of items already returned.
+ */
+const encodeOffsetCursor = (asOf, offset) => encodeCursor(asOf, offset);
+
+/**
+ * @returns {Object|null} { asOf: Date, offset } or null if missing or malformed.
+ */
+const decodeOffsetCursor = (cursor) => {
+    const decoded = decodeCursor(cursor);
+    if (!decoded || !Number.isInteger(decoded.id) || decoded.id < 0) {
+        return null;
+    }
+    return { asOf: decoded.createdAt, offset: decoded.id };
+};
+
+/**
+ * Parses a client-supplied page size, clamped to [1, MAX_LIMIT].
+ */
+const parseLimit = (value, fallback = DEFAULT_LIMIT) => {
+    const limit = parseInt(value);
+    if (!limit || limit < 1) {
+        return fallback;
+    }
+    return Math.min(limit, MAX_LIMIT);
+};
+
+/**
+ * Turns the rows of a query that fetched limit + 1 rows into a page.
+ * @param {Array} rows - Query result, newest first.
+ * @param {number} limit - The requested page size.
+ * @param {Function} cursorOf - Maps a row to its cursor.
+ * @returns {Object} { items, nextCursor, hasMore }
+ */
+const buildPage = (rows, limit, cursorOf) => {
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit);
+    return {
+        items,
+        nextCursor: hasMore ? cursorOf(items[items.length - 1]) : null,
+        hasMore
+    };
+};
+
+
+// --- MODULE EXPORTS ---
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    encodeOffsetCursor,
+    decodeOffsetCursor,
+    parseLimit,
+    buildPage,
+};
@@ -0,0 +1,75 @@
+// --- "FOR YOU" FEED RANKING ---
+// Pure functions: every input, including the current time, is passed in explicitly,
+// so the same dataset always produces the same order.
+
+// Tunable weights for the ranking formula
+const WEIGHTS = {
+    like: 1,        // per log-scaled like
+    comment: 2,     // comments signal more engagement than likes
+    affinity: 1.5,  // how much the viewer's relationship with the author matters
+    gravity: 1.5    // how quickly older posts sink
+};
+
+// Weights of the viewer -> author interactions that make up affinity
+const AFFINITY_WEIGHTS = {
+    follows: 3,
+    like: 1,
+    comment: 2
+};
+
+/**
+ * Scores the viewer's relationship with an author.
+ * @param {Object} [signals] - { follows, likes, comments } as returned by db.getAuthorAffinitySignals.
+ * @returns {number} 0 for strangers, growing logarithmically with interaction.
+ */
+const affinityScore = (signals = {}) => {
+    const raw = (signals.follows ? AFFINITY_WEIGHTS.follows : 0)
+        + (signals.likes || 0) * AFFINITY_WEIGHTS.like
+        + (signals.comments || 0) * AFFINITY_WEIGHTS.comment;
+    return Math.log1p(raw);
+};
+
+/**
+ * Scores a single post: engagement and affinity, decayed by age (Hacker News style).
+ * @param {Object} post - { timestamp, likeCount, commentCount }
+ * @param {Object} context - { now: epoch ms, affinity: number }
+ * @returns {number} The score; higher ranks first.
+ */
+const scorePost = (post, { now, affinity = 0 }) => {
+    const ageHours = Math.max(0, now - new Date(post.timestamp).getTime()) / (60 * 60 * 1000);
+    const engagement = WEIGHTS.like * Math.log1p(post.likeCount || 0)
+        + WEIGHTS.comment * Math.log1p(post.commentCount || 0);
+    return (1 + engagement + WEIGHTS.affinity * affinity) / Math.pow(ageHours + 2, WEIGHTS.gravity);
+};
+
+/**
+ * Ranks posts for a viewer. Ties are broken by recency and then by postId, so the order is total.
+ * @param {Array} posts - Candidate posts (see db.getRankingCandidates).
+ * @param {Object} context
+ * @param {number} context.now - Epoch ms the ranking is computed at.
+ * @param {Object} [context.affinityByAuthor] - Map of authorId -> affinity signals.
+ * @returns {Array} New array of posts, best first, each with a `score` field.
+ */
+const rankPosts = (posts, { now, affinityByAuthor = {} }) => {
+    return posts
+        .map(post => ({
+            ...post,
+            score: scorePost(post, { now, affinity: affinityScore(affinityByAuthor[post.userId]) })
+        }))
+        .sort((a, b) => {
+            if (b.score !== a.score) return b.score - a.score;
+            const age = new Date(b.timestamp) - new Date(a.timestamp);
+            if (age !== 0) return age;
+            return a.postId < b.postId ? -1 : (a.postId > b.postId ? 1 : 0);
+        });
+};
+
+
+// --- MODULE EXPORTS ---
+module.exports = {
+    WEIGHTS,
+    AFFINITY_WEIGHTS,
+    affinityScore,
+    scorePost,
+    rankPosts,
+};
@@ -0,0 +1,192 @@
+// --- RATE LIMITING ---
+// Sliding-window limits for HTTP routes and socket events, plus a progressive lockout for
+// failed logins. Counters live in a store; the default MemoryStore only works for a single
+// server process, so deployments with several instances pass a shared store instead.
+//
+// A store implements four async methods (a Redis store maps them to INCR + PEXPIRE, GET,
+// SET PX and DEL):
+//   increment(key, ttlMs) -> the new value of a counter, created at 1 with the given TTL
+//   get(key)              -> the stored value, or null if missing or expired
+//   set(key, value, ttlMs)
+//   delete(key)
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process store. Expired entries are swept every minute.
+ */
+class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+        this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweeper.unref(); // Never keeps the process alive on its own
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+
+    async increment(key, ttlMs) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            this.entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+            return 1;
+        }
+        entry.value += 1;
+        return entry.value;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        return entry && entry.expiresAt > Date.now() ? entry.value : null;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Parses limit overrides such as RATE_LIMITS='{"login": {"limit": 10, "windowMs": 900000}}'.
+ * @returns {Object} Map of limiter name -> { limit, windowMs }; empty if unset or malformed.
+ */
+const parseOverrides = (json) => {
+    if (!json) {
+        return {};
+    }
+    try {
+        const overrides = JSON.parse(json);
+        return overrides && typeof overrides === 'object' ? overrides : {};
+    } catch (error) {
+        console.error('Ignoring malformed RATE_LIMITS:', error.message);
+        return {};
+    }
+};
+
+/**
+ * Creates a sliding-window limiter. The window is approximated from two fixed windows: the
+ * previous window's count is weighted by how much of it still overlaps the sliding window.
+ * @param {Object} options - { name, limit, windowMs, store }
+ * @returns {Object} { name, limit, windowMs, consume(key) } where consume resolves to
+ *   { allowed, remaining, retryAfterMs }.
+ */
+const createLimiter = ({ name, limit, windowMs, store }) => {
+    const consume = async (key) => {
+        const now = Date.now();
+        const windowIndex = Math.floor(now / windowMs);
+        const elapsed = now - windowIndex * windowMs;
+        const prefix = `rl:${name}:${key}:`;
+
+        const current = await store.increment(`${prefix}${windowIndex}`, windowMs * 2);
+        const previous = Number(await store.get(`${prefix}${windowIndex - 1}`)) || 0;
+        const weight = (windowMs - elapsed) / windowMs;
+        const count = previous * weight + current;
+
+        if (count <= limit) {
+            return { allowed: true, remaining: Math.floor(limit - count), retryAfterMs: 0 };
+        }
+        // Wait until the previous window has faded enough, or for the next window if the
+        // current one alone is over the limit
+        let retryAfterMs = windowMs - elapsed;
+        if (current <= limit && previous > 0) {
+            retryAfterMs = Math.min(retryAfterMs, Math.ceil(windowMs * (previous + current - limit) / previous) - elapsed);
+        }
+        return { allowed: false, remaining: 0, retryAfterMs: Math.max(retryAfterMs, 1000) };
+    };
+
+    return { name, limit, windowMs, consume };
+};
+
+/**
+ * Consumes one request from several limiters; the first that refuses wins.
+ * @param {Array} checks - [[limiter, key], ...]; entries with a missing key are skipped.
+ */
+const consumeAll = async (checks) => {
+    for (const [limiter, key] of checks) {
+        if (key === null || key === undefined || key === '') continue;
+        const result = await limiter.consume(key);
+        if (!result.allowed) {
+            return result;
+        }
+    }
+    return { allowed: true, retryAfterMs: 0 };
+};
+
+/**
+ * Answers a throttled HTTP request with 429 and Retry-After (in seconds).
+ */
+const sendTooManyRequests = (res, retryAfterMs, message = 'Too many requests.') => {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ success: false, code: 'RATE_LIMITED', message: `${message} Try again in ${retryAfter} seconds.`, retryAfter });
+};
+
+/**
+ * Express middleware applying limiters to a route.
+ * @param {...Array} rules - [limiter, req => key] pairs, e.g. [limits.upload, req => req.user.userId].
+ */
+const limitRequests = (...rules) => async (req, res, next) => {
+    try {
+        const result = await consumeAll(rules.map(([limiter, keyOf]) => [limiter, keyOf(req)]));
+        if (!result.allowed) {
+            return sendTooManyRequests(res, result.retryAfterMs);
+        }
+        next();
+    } catch (error) {
+        // Fail open: an unavailable store must not take the whole API down
+        console.error('Rate limit store error:', error);
+        next();
+    }
+};
+
+/**
+ * Progressive lockout for failed logins on one key (an account or an IP address).
+ * The first `freeAttempts` failures are free; each further failure locks the key for
+ * baseLockMs, doubling per failure up to maxLockMs. Failures are forgotten after resetMs
+ * without one, or on a successful login.
+ * @param {Object} options - { name, store, freeAttempts, baseLockMs, maxLockMs, resetMs }
+ */
+const createLockout = ({ name, store, freeAttempts = 5, baseLockMs = 60 * 1000, maxLockMs = 60 * 60 * 1000, resetMs = 24 * 60 * 60 * 1000 }) => {
+    const failuresKey = (key) => `lock:${name}:${key}:failures`;
+    const untilKey = (key) => `lock:${name}:${key}:until`;
+
+    return {
+        /**
+         * @returns {Promise<number>} Milliseconds the key is still locked for (0 if not locked).
+         */
+        lockedFor: async (key) => {
+            const until = Number(await store.get(untilKey(key))) || 0;
+            return Math.max(until - Date.now(), 0);
+        },
+        recordFailure: async (key) => {
+            const failures = await store.increment(failuresKey(key), resetMs);
+            if (failures > freeAttempts) {
+                const lockMs = Math.min(baseLockMs * 2 ** (failures - freeAttempts - 1), maxLockMs);
+                await store.set(untilKey(key), Date.now() + lockMs, lockMs);
+            }
+            return failures;
+        },
+        reset: async (key) => {
+            await store.delete(failuresKey(key));
+            await store.delete(untilKey(key));
+        }
+    };
+};
+
+
+// --- MODULE EXPORTS ---
+module.exports = {
+    MemoryStore,
+    parseOverrides,
+    createLimiter,
+    consumeAll,
+    sendTooManyRequests,
+    limitRequests,
+    createLockout,
+};
@@ -0,0 +1,113 @@
+// --- DEMO DATA ---
+// Fills a freshly migrated database with demo users, posts, comments, follows and conversations.
+// Usage: node seed.js (or npm run seed). Every demo account uses the password in SEED_PASSWORD,
+// "password123" by default; alice is an admin. Running it again changes nothing.
+
+require('dotenv').config();
+
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./db');
+const migrate = require('./migrate');
+const entities = require('./entities');
+
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'password123';
+const saltRounds = 10;
+
+const DEMO_USERS = [
+    { username: 'alice', displayName: 'Alice Liddell', bio: 'Curiouser and curiouser. #photography', role: 'admin' },
+    { username: 'bob', displayName: 'Bob', bio: 'Coffee first. Code second.' },
+    { username: 'carol', displayName: 'Carol', bio: 'Trail runner, weekend baker.' },
+    { username: 'dave', displayName: 'Dave', bio: null }
+];
+
+// [author, content]; #tags and @mentions are indexed like posts written in the app
+const DEMO_POSTS = [
+    ['alice', 'Golden hour at the harbour today #photography #sunset'],
+    ['bob', 'Finally shipped the new release! Thanks @alice for the reviews #coding'],
+    ['carol', 'Sourdough attempt number 7. Getting there. #baking'],
+    ['dave', 'Hello SupaGram! First post.'],
+    ['carol', '12 miles before breakfast, who is joining next Saturday? @bob @dave #running'],
+    ['alice', 'Any tips for shooting in fog? #photography']
+];
+
+// [follower, followee]
+const DEMO_FOLLOWS = [
+    ['alice', 'bob'], ['alice', 'carol'], ['bob', 'alice'], ['bob', 'carol'],
+    ['carol', 'alice'], ['dave', 'alice'], ['dave', 'carol']
+];
+
+/**
+ * Stores the hashtags and mentions of a demo post or comment.
+ */
+const saveEntities = async (targetType, targetId, postId, authorId, text) => {
+    const mentioned = await db.findUsersByUsernames(entities.extractMentions(text));
+    await db.setContentEntities(targetType, targetId, {
+        postId,
+        authorId,
+        tags: entities.extractHashtags(text),
+        mentionedUserIds: mentioned.map(u => u.user_id).filter(id => id !== authorId)
+    });
+};
+
+const seed = async () => {
+    await migrate.checkSchema();
+    if (await db.findUserByEmail(`${DEMO_USERS[0].username}@example.com`)) {
+        console.log('Demo data is already present.');
+        return;
+    }
+
+    const passwordHash = await bcrypt.hash(SEED_PASSWORD, saltRounds);
+    const users = {};
+    for (const demo of DEMO_USERS) {
+        const userId = uuidv4();
+        await db.createUser(userId, `${demo.username}@example.com`, passwordHash, demo.username, '/default-user.png');
+        await db.updateUserProfile(userId, { displayName: demo.displayName, bio: demo.bio });
+        await db.markEmailVerified(userId);
+        if (demo.role) {
+            await db.setUserRole(userId, demo.role);
+        }
+        users[demo.username] = userId;
+    }
+
+    const posts = [];
+    for (const [author, content] of DEMO_POSTS) {
+        const postId = uuidv4();
+        await db.createPost(postId, users[author], content, null);
+        await saveEntities('post', postId, postId, users[author], content);
+        posts.push(postId);
+    }
+
+    for (const [follower, followee] of DEMO_FOLLOWS) {
+        await db.followUser(users[follower], users[followee]);
+    }
+
+    await db.addReaction('post', posts[0], users.bob, db.LIKE_EMOJI);
+    await db.addReaction('post', posts[0], users.carol, '🔥');
+    await db.addReaction('post', posts[1], users.alice, '🎉');
+    await db.addReaction('post', posts[2], users.alice, db.LIKE_EMOJI);
+
+    const commentText = 'Stunning colours! #sunset';
+    const commentId = await db.addComment(posts[0], users.carol, commentText);
+    await saveEntities('comment', commentId, posts[0], users.carol, commentText);
+    await db.addComment(posts[0], users.alice, 'Thank you @carol!', commentId);
+    await db.addComment(posts[4], users.bob, 'Count me in.');
+
+    const { conversationId: directId } = await db.getOrCreateDirectConversation(users.alice, users.bob);
+    await db.savePrivateMessage(users.alice, users.bob, 'Hey Bob, congrats on the release!', 'text', [], directId);
+    await db.savePrivateMessage(users.bob, users.alice, 'Thanks! Could not have done it without your reviews.', 'text', [], directId);
+
+    const groupId = await db.createGroupConversation('Saturday run', users.carol, [users.bob, users.dave]);
+    await db.savePrivateMessage(users.carol, null, 'Meet at the park gate at 7?', 'text', [], groupId);
+    await db.savePrivateMessage(users.dave, null, 'Works for me.', 'text', [], groupId);
+
+    console.log(`Seeded ${DEMO_USERS.length} users, ${DEMO_POSTS.length} posts and 2 conversations.`);
+    console.log(`Log in as ${DEMO_USERS.map(u => `${u.username}@example.com`).join(', ')} with password "${SEED_PASSWORD}".`);
+};
+
+seed()
+    .catch(err => {
+        console.error(`Seeding failed: ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => db.closePool());
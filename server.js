@@ -7,10 +7,21 @@ const http = require('http');
 const socketIo = require('socket.io');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
+const session = require('express-session');
 const db = require('./db');
+const auth = require('./auth');
+const pagination = require('./pagination');
+const ranking = require('./ranking');
+const media = require('./media');
+const emails = require('./emails');
+const rateLimit = require('./ratelimit');
+const entities = require('./entities');
+const migrate = require('./migrate');
+const { requireAuth, requireVerifiedEmail, requireAdmin } = auth;
 const nodemailer = require('nodemailer');
 const multer = require('multer'); // <--- NEW: For handling file uploads
 const path = require('path'); // <--- NEW: For path manipulation
+const fs = require('fs');
 
 const app = express();
 const server = http.createServer(app);
@@ -24,363 +35,2968 @@ const io = socketIo(server, {
 // 2. Use process.env for PORT, falling back to 3000 if not set
 const PORT = process.env.PORT || 3000;
 const saltRounds = 10;
+const MIN_PASSWORD_LENGTH = 8;
+// Usernames must be mentionable as @username (see entities.js)
+const USERNAME_PATTERN = /^\w{3,30}$/;
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_BIO_LENGTH = 300;
+const MAX_WEBSITE_LENGTH = 200;
+// A new verification email can be requested once this long after the previous one
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// "For You" ranks posts from this window, capped at this many candidates
+const FOR_YOU_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const FOR_YOU_MAX_CANDIDATES = 500;
+const FEEDS = ['latest', 'following', 'forYou'];
+const SEARCH_TYPES = ['posts', 'users', 'tags'];
+const MAX_SEARCH_QUERY_LENGTH = 100;
+const MAX_POST_LENGTH = 5000;
+const MAX_COMMENT_LENGTH = 2000;
+const REACTION_TARGETS = ['post', 'message'];
+const REACTION_ACTIONS = ['toggle', 'add', 'remove'];
+const MAX_MESSAGE_ATTACHMENTS = 10;
+// A socket's 'typing' events are forwarded at most this often per conversation
+const TYPING_THROTTLE_MS = 2000;
+// Most messages delivered by the catch-up on reconnect; older gaps are filled from history
+const CATCH_UP_LIMIT = 500;
+const MAX_GROUP_MEMBERS = 256;
+const MAX_GROUP_NAME_LENGTH = 100;
+const GROUP_ROLES = ['member', 'admin'];
+const REPORT_TARGETS = ['post', 'comment', 'message', 'user'];
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'nudity', 'self_harm', 'misinformation', 'other'];
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+// Moderator actions per target type; reports can also be dismissed without action
+const MODERATION_ACTIONS = {
+    post: ['hide', 'unhide', 'remove'],
+    comment: ['hide', 'unhide', 'remove'],
+    message: ['remove'],
+    user: ['suspend', 'unsuspend']
+};
+const USER_ROLES = ['user', 'admin'];
+// Suspensions without a duration last until lifted
+const PERMANENT_SUSPENSION = new Date('9999-12-31T00:00:00Z');
+const NOTIFICATION_PREVIEW_LENGTH = 140;
+// Trending hashtags are counted over the last TRENDING_DEFAULT_HOURS unless ?hours= asks otherwise
+const TRENDING_DEFAULT_HOURS = 24;
+const TRENDING_MAX_HOURS = 7 * 24;
+// Unread notifications older than NOTIFICATION_DIGEST_DELAY_MS are emailed every
+// NOTIFICATION_DIGEST_MINUTES to users who are offline (only when SMTP_HOST is configured)
+const NOTIFICATION_DIGEST_INTERVAL_MS = (parseInt(process.env.NOTIFICATION_DIGEST_MINUTES) || 60) * 60 * 1000;
+const NOTIFICATION_DIGEST_DELAY_MS = 10 * 60 * 1000;
+const NOTIFICATION_DIGEST_MAX_ITEMS = 20;
+// Stories are shown for STORY_TTL_MS; expired ones and their files are purged every STORY_PURGE_MINUTES
+const STORY_TTL_MS = 24 * 60 * 60 * 1000;
+const STORY_PURGE_INTERVAL_MS = (parseInt(process.env.STORY_PURGE_MINUTES) || 10) * 60 * 1000;
+const MAX_STORY_TEXT_LENGTH = 500;
+
+// Chat attachments are kept outside public/ and served through an access-checked route
+const ATTACHMENTS_DIR = path.join(__dirname, 'uploads', 'attachments');
 
 // --- Nodemailer Setup (NEW) ---
 const transporter = nodemailer.createTransport({
     host: process.env.SMTP_HOST,
     port: parseInt(process.env.SMTP_PORT) || 587,
     secure: process.env.SMTP_SECURE === 'true', // true for 465, false for 587/2525
-    auth: {
+    // Local SMTP catchers (e.g. MailHog on port 1025) accept mail without credentials
+    auth: process.env.SMTP_USER ? {
         user: process.env.SMTP_USER,
         pass: process.env.SMTP_PASS,
-    },
+    } : undefined,
+});
+const MAIL_FROM = process.env.SMTP_FROM || process.env.SMTP_USER || 'no-reply@localhost';
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+
+// --- Rate Limiting ---
+// Counters are kept per process. When running several instances behind a load balancer,
+// replace the MemoryStore with a shared store (see the store interface in ratelimit.js).
+const rateLimitStore = new rateLimit.MemoryStore();
+const MINUTE_MS = 60 * 1000;
+// Defaults, overridable per name with RATE_LIMITS='{"login": {"limit": 10, "windowMs": 900000}}'
+const RATE_LIMITS = {
+    api: { limit: 300, windowMs: MINUTE_MS },                     // Any /api request, per IP
+    login: { limit: 20, windowMs: 15 * MINUTE_MS },               // Per IP (accounts also lock out, see below)
+    signup: { limit: 5, windowMs: 60 * MINUTE_MS },               // Per IP
+    tokenRefresh: { limit: 60, windowMs: 15 * MINUTE_MS },        // Per IP
+    passwordReset: { limit: 5, windowMs: 15 * MINUTE_MS },        // forgot/reset password, per IP
+    passwordResetEmail: { limit: 3, windowMs: 60 * MINUTE_MS },   // Reset emails per target address
+    emailVerification: { limit: 20, windowMs: 15 * MINUTE_MS },   // Verification attempts per IP
+    verificationEmail: { limit: 5, windowMs: 60 * MINUTE_MS },    // Resent verification emails per user
+    upload: { limit: 20, windowMs: 10 * MINUTE_MS },              // Any upload route, per user
+    uploadIp: { limit: 60, windowMs: 10 * MINUTE_MS },            // Any upload route, per IP
+    post: { limit: 10, windowMs: MINUTE_MS },                     // Per user
+    postEdit: { limit: 30, windowMs: 10 * MINUTE_MS },            // Per user
+    postDelete: { limit: 30, windowMs: 10 * MINUTE_MS },          // Per user (each delete also removes media files)
+    story: { limit: 30, windowMs: 60 * MINUTE_MS },               // Per user
+    comment: { limit: 30, windowMs: MINUTE_MS },                  // Per user
+    follow: { limit: 60, windowMs: 60 * MINUTE_MS },              // Per user
+    groupCreate: { limit: 10, windowMs: 60 * MINUTE_MS },         // Per user
+    report: { limit: 20, windowMs: 60 * MINUTE_MS },              // Per user
+    block: { limit: 60, windowMs: 60 * MINUTE_MS },               // Blocks and mutes, per user
+    profileUpdate: { limit: 20, windowMs: 60 * MINUTE_MS },       // Per user
+    search: { limit: 120, windowMs: MINUTE_MS },                  // Per user (autocomplete searches as you type)
+    // Socket events, per user (events not listed in SOCKET_EVENT_LIMITS use socketEvent)
+    privateMessage: { limit: 30, windowMs: 10 * 1000 },
+    react: { limit: 60, windowMs: MINUTE_MS },
+    typing: { limit: 600, windowMs: MINUTE_MS },                  // Sent per keystroke; forwarding has its own throttle
+    socketEvent: { limit: 120, windowMs: MINUTE_MS },
+};
+const rateLimitOverrides = rateLimit.parseOverrides(process.env.RATE_LIMITS);
+const limits = Object.fromEntries(Object.entries(RATE_LIMITS).map(([name, defaults]) => [
+    name,
+    rateLimit.createLimiter({ name, ...defaults, ...rateLimitOverrides[name], store: rateLimitStore })
+]));
+const SOCKET_EVENT_LIMITS = {
+    privateMessage: 'privateMessage', react: 'react', likePost: 'react', typing: 'typing', stopTyping: 'typing'
+};
+// Failed logins lock the account progressively: 5 free attempts, then 1 minute doubling up to 1 hour
+const loginLockout = rateLimit.createLockout({ name: 'login', store: rateLimitStore });
+
+const byIp = (req) => req.ip;
+const byUser = (req) => req.user.userId;
+const limitUploads = rateLimit.limitRequests([limits.upload, byUser], [limits.uploadIp, byIp]);
+
+// --- Multer Setup (NEW for Production File Uploads) ---
+// Files stay in memory until media.processUpload has verified their real type; only then are they
+// written, under content-hash names, to the directory of their field.
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024, files: 1 } // 10MB limit
+});
+
+const UPLOAD_DIRS = {
+    profilePic: path.join(__dirname, 'public', 'uploads', 'profile_pics'),
+    mediaFile: path.join(__dirname, 'public', 'uploads', 'files'),
+    attachment: ATTACHMENTS_DIR // Private chat attachments
+};
+Object.values(UPLOAD_DIRS).forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+
+/**
+ * upload.single(field), but multer errors (file too large, unexpected field) are answered
+ * as JSON instead of falling through to Express's HTML error page.
+ */
+const acceptUpload = (field) => (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ success: false, message: 'File is too large (max 10MB).' });
+        }
+        res.status(400).json({ success: false, message: err.message });
+    });
+};
+
+
+// --- Middleware ---
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or 'loopback') so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(express.json());
+app.use('/api', rateLimit.limitRequests([limits.api, byIp]));
+// Uploads never change under their content-hash names, and must never be content-sniffed
+app.use('/uploads', express.static('public/uploads', {
+    immutable: true,
+    maxAge: '365d',
+    setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+}));
+app.use(express.static('public')); // Serve static files
+
+// Optional cookie sessions alongside Bearer tokens, enabled by setting SESSION_SECRET
+let sessionMiddleware = null;
+if (process.env.SESSION_SECRET) {
+    sessionMiddleware = session({
+        name: 'supagram.sid',
+        secret: process.env.SESSION_SECRET,
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.SESSION_COOKIE_SECURE === 'true',
+            maxAge: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000
+        }
+    });
+    app.use(sessionMiddleware);
+    // Share the cookie session with the Socket.IO handshake
+    io.engine.use(sessionMiddleware);
+}
+
+// --- Helper Functions ---
+
+/**
+ * Name of the Socket.IO room joined by every socket of a user, so events reach all of their devices.
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * A message's type follows its attachments: all images -> 'image', all videos -> 'video',
+ * any other mix -> 'file', none -> 'text'.
+ */
+const messageType = (attachments) => {
+    if (attachments.length === 0) return 'text';
+    const kinds = new Set(attachments.map(a => a.kind));
+    return kinds.size === 1 && !kinds.has('file') ? [...kinds][0] : 'file';
+};
+
+/**
+ * Delivery state of a message row: 'sent', 'delivered' or 'read'.
+ */
+const messageStatus = (m) => (m.readAt ? 'read' : (m.deliveredAt ? 'delivered' : 'sent'));
+
+/**
+ * Adds what clients need to render message rows: status, attachments and the viewer's reactions.
+ * @param {Array} rows - Rows selected with db's MESSAGE_SELECT columns.
+ */
+const formatMessages = async (rows, viewerId) => {
+    const messageIds = rows.map(m => m.message_id);
+    const [reactions, attachments] = await Promise.all([
+        db.getReactionSummaries('message', messageIds, viewerId),
+        db.getAttachmentsForMessages(messageIds)
+    ]);
+    return rows.map(m => ({
+        ...m,
+        status: messageStatus(m),
+        attachments: (attachments[m.message_id] || []).map(formatAttachment),
+        reactions: reactions[String(m.message_id)] || []
+    }));
+};
+
+/**
+ * Tells senders that some of their messages reached the recipient.
+ * @param {number} recipientId
+ * @param {Array} delivered - Rows from db.markMessagesDelivered: [{ message_id, sender_id }]
+ */
+const notifyDelivered = (recipientId, delivered) => {
+    const bySender = {};
+    delivered.forEach(m => {
+        (bySender[m.sender_id] = bySender[m.sender_id] || []).push(m.message_id);
+    });
+    const at = new Date().toISOString();
+    Object.entries(bySender).forEach(([senderId, messageIds]) => {
+        io.to(userRoom(senderId)).emit('messageStatus', { messageIds, status: 'delivered', recipientId, at });
+    });
+};
+
+/**
+ * Public shape of an attachment row. The file itself is only reachable through the
+ * access-checked /api/attachments/:attachmentId route.
+ */
+const formatAttachment = (a) => ({
+    attachmentId: a.attachment_id,
+    kind: a.kind,
+    mimeType: a.mime_type,
+    originalName: a.original_name,
+    sizeBytes: a.size_bytes,
+    width: a.width,
+    height: a.height,
+    placeholder: a.placeholder,
+    url: `/api/attachments/${a.attachment_id}`,
+    thumbnailUrl: a.thumbnail_path ? `/api/attachments/${a.attachment_id}?variant=thumbnail` : null
 });
 
-// --- Multer Setup (NEW for Production File Uploads) ---
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        // Separate destinations based on field name
-        if (file.fieldname === 'profilePic') {
-            cb(null, 'public/uploads/profile_pics');
-        } else {
-            // General files (posts, chat media)
-            cb(null, 'public/uploads/files');
+/**
+ * Validates the `media` object of a new post, as returned by /api/upload-file.
+ * Only files stored by the upload pipeline are accepted.
+ * @returns {Object|null} { url, thumbnailUrl, width, height, placeholder } or null if invalid.
+ */
+const parsePostMedia = (mediaInput) => {
+    const isStoredFile = (url) => typeof url === 'string' && /^\/uploads\/files\/[0-9a-f]{64}(-thumbnail)?\.[a-z0-9]+$/.test(url);
+    const isDimension = (n) => Number.isInteger(n) && n > 0 && n <= 100000;
+    const { url, thumbnailUrl = null, width = null, height = null, placeholder = null } = mediaInput || {};
+
+    if (!isStoredFile(url) || (thumbnailUrl !== null && !isStoredFile(thumbnailUrl))) {
+        return null;
+    }
+    if ((width !== null || height !== null) && !(isDimension(width) && isDimension(height))) {
+        return null;
+    }
+    if (placeholder !== null && !(typeof placeholder === 'string' && placeholder.length <= 2000
+        && placeholder.startsWith('data:image/webp;base64,'))) {
+        return null;
+    }
+    return { url, thumbnailUrl, width, height, placeholder };
+};
+
+/**
+ * Answers a request whose upload the media pipeline rejected (415/422).
+ * @returns {boolean} true if the error was an UploadError and a response was sent.
+ */
+const sendUploadError = (res, error) => {
+    if (!(error instanceof media.UploadError)) {
+        return false;
+    }
+    res.status(error.status).json({ success: false, message: error.message });
+    return true;
+};
+
+/**
+ * Broadcasts the contact list with each user's presence to all connected clients.
+ * Status is 'online', 'away' or 'offline'; lastSeenAt is set once a user's last socket has left.
+ * Users who blocked each other are left out of each other's lists.
+ */
+const broadcastOnlineUsers = async () => {
+    const users = await db.getUserPresence();
+    // Include profilePicUrl for the frontend to render the list
+    const userPayload = users.map(u => ({
+        userId: u.userId,
+        username: u.username,
+        profilePicUrl: u.profile_pic_url || '/default-user.png',
+        status: u.status,
+        isOnline: u.status !== 'offline',
+        lastSeenAt: u.lastSeenAt
+    }));
+    const viewerIds = [...new Set([...io.of('/').sockets.values()].map(s => String(s.data.user.userId)))];
+    const blockedByViewer = await db.getBlockedIdsForUsers(viewerIds);
+    for (const viewerId of viewerIds) {
+        const blockedIds = blockedByViewer.get(viewerId);
+        io.to(userRoom(viewerId)).emit('onlineUsers', blockedIds
+            ? userPayload.filter(u => !blockedIds.has(String(u.userId)))
+            : userPayload);
+    }
+    console.log(`Broadcasting presence for ${userPayload.length} users.`);
+};
+
+/**
+ * The rooms of the users whose feeds show an author's content: the author's own devices and
+ * their followers' (except followers who muted the author).
+ */
+const feedAudienceRooms = async (authorId) => {
+    const [followerIds, muterIds] = await Promise.all([db.getFollowerIds(authorId), db.getMuterIds(authorId)]);
+    const muted = new Set(muterIds.map(String));
+    const recipientIds = followerIds.filter(id => !muted.has(String(id)));
+    return [authorId, ...recipientIds].map(userRoom);
+};
+
+/**
+ * Pushes a new post to the sockets whose feeds it belongs to.
+ */
+const broadcastNewPost = async (post) => {
+    io.to(await feedAudienceRooms(post.userId)).emit('updateFeed', post);
+};
+
+/**
+ * Groups the stories of the tray by author. The viewer's own stories come first (with their
+ * view counts), then authors with unseen stories, then the rest; within each group the
+ * author who posted most recently comes first.
+ * @param {Array} stories - Rows from db.getStoryTray, oldest first.
+ * @returns {Promise<Array>} [{ userId, username, profilePicUrl, hasUnseen, stories: [...] }]
+ */
+const buildStoryTray = async (stories, viewerId) => {
+    const ownIds = stories.filter(s => String(s.userId) === String(viewerId)).map(s => s.storyId);
+    const viewCounts = await db.getStoryViewCounts(ownIds);
+    const byAuthor = new Map();
+    stories.forEach(({ seen, ...story }) => {
+        if (!byAuthor.has(story.userId)) {
+            byAuthor.set(story.userId, {
+                userId: story.userId, username: story.username, profilePicUrl: story.profilePicUrl,
+                isSelf: String(story.userId) === String(viewerId), hasUnseen: false, stories: []
+            });
+        }
+        const group = byAuthor.get(story.userId);
+        const entry = { ...story, seen: group.isSelf || Number(seen) === 1 };
+        if (group.isSelf) {
+            entry.viewCount = viewCounts[story.storyId] || 0;
+        }
+        group.stories.push(entry);
+        if (!entry.seen) {
+            group.hasUnseen = true;
+        }
+    });
+    const latest = (group) => new Date(group.stories[group.stories.length - 1].createdAt).getTime();
+    return [...byAuthor.values()].sort((a, b) =>
+        (b.isSelf - a.isSelf) || (b.hasUnseen - a.hasUnseen) || (latest(b) - latest(a)));
+};
+
+/**
+ * Deletes the files of removed posts or stories from public/uploads/files, except those
+ * another post or story still uses (uploads are named after their content, so one file can
+ * back several of them). Files already gone are ignored.
+ * @param {Array<string|null>} urls - Media URLs; anything outside /uploads/files/ (e.g. the
+ *   external URL of a post) is skipped.
+ * @returns {Promise<number>} The number of files deleted.
+ */
+const removeUnusedMediaFiles = async (urls) => {
+    const candidates = [...new Set(urls.filter(url => typeof url === 'string' && url.startsWith('/uploads/files/')))];
+    const inUse = await db.getMediaUrlsInUse(candidates);
+    let removed = 0;
+    for (const url of candidates.filter(u => !inUse.has(u))) {
+        try {
+            await fs.promises.unlink(path.join(UPLOAD_DIRS.mediaFile, path.basename(url)));
+            removed++;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error deleting media file ${url}:`, error);
+            }
+        }
+    }
+    return removed;
+};
+
+/**
+ * Deletes the expired stories, in batches, then the files no post or story uses anymore.
+ * The authors' followers are told to refresh their tray.
+ * @returns {Promise<number>} The number of stories deleted.
+ */
+const purgeExpiredStories = async () => {
+    const now = new Date();
+    const expired = [];
+    let batch;
+    do {
+        batch = await db.deleteExpiredStories(now);
+        expired.push(...batch);
+    } while (batch.length > 0);
+
+    await removeUnusedMediaFiles(expired.flatMap(s => [s.mediaUrl, s.mediaThumbnailUrl]));
+    for (const authorId of new Set(expired.map(s => s.userId))) {
+        io.to(await feedAudienceRooms(authorId)).emit('storiesUpdated', { userId: authorId });
+    }
+    return expired.length;
+};
+
+/**
+ * Adds what the client needs to render posts for a viewer without a request per post:
+ * whether the viewer follows each author, and the reactions with the viewer's own.
+ */
+const withViewerState = async (posts, viewerId) => {
+    const [followingIds, reactions] = await Promise.all([
+        db.getFollowingIds(viewerId).then(ids => new Set(ids)),
+        db.getReactionSummaries('post', posts.map(p => p.postId), viewerId)
+    ]);
+    return posts.map(p => ({
+        ...p,
+        followingAuthor: followingIds.has(p.userId),
+        reactions: reactions[p.postId] || []
+    }));
+};
+
+/**
+ * Emits a comment event to the clients viewing a post, except the users who blocked the
+ * comment's author or were blocked by them.
+ */
+const emitToPostViewers = async (postId, authorId, event, payload) => {
+    const blockedIds = await db.getBlockedUserIds(authorId);
+    io.to(postRoom(postId)).except(blockedIds.map(userRoom)).emit(event, payload);
+};
+
+/**
+ * Builds one page of the ranked "For You" timeline.
+ * The whole candidate window is ranked on each request; the cursor pins the ranking time,
+ * so paging stays consistent apart from engagement that changed in between.
+ * @param {string} viewerId
+ * @param {Object|null} cursor - Decoded offset cursor { asOf, offset }.
+ * @param {number} limit
+ */
+const getForYouPage = async (viewerId, cursor, limit) => {
+    const asOf = cursor ? cursor.asOf : new Date();
+    const offset = cursor ? cursor.offset : 0;
+
+    const candidates = await db.getRankingCandidates(new Date(asOf.getTime() - FOR_YOU_WINDOW_MS), asOf, FOR_YOU_MAX_CANDIDATES, viewerId);
+    const authorIds = [...new Set(candidates.map(p => p.userId))];
+    const affinityByAuthor = await db.getAuthorAffinitySignals(viewerId, authorIds);
+    const ranked = ranking.rankPosts(candidates, { now: asOf.getTime(), affinityByAuthor });
+
+    const hasMore = ranked.length > offset + limit;
+    return {
+        items: ranked.slice(offset, offset + limit),
+        nextCursor: hasMore ? pagination.encodeOffsetCursor(asOf, offset + limit) : null,
+        hasMore
+    };
+};
+
+/**
+ * Name of the Socket.IO room of clients currently viewing a post's comments.
+ */
+const postRoom = (postId) => `post:${postId}`;
+
+/**
+ * Name of the Socket.IO room of a conversation; every socket of every member joins it.
+ */
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+/**
+ * Identifies the conversation a chat event addresses without touching the database.
+ */
+const typingKey = (data) => {
+    if (data.conversationId) return `c:${data.conversationId}`;
+    if (data.recipientId) return `u:${data.recipientId}`;
+    return null;
+};
+
+/**
+ * Resolves the conversation a chat event addresses: { conversationId } for any conversation the
+ * user is a member of, or { recipientId } for the direct chat with that user.
+ * @param {Object} [options] - { create: true } creates the direct conversation on first use.
+ * @returns {Promise<Object|null>} { conversationId, type, recipientId (direct partner or null) },
+ *   null for a direct chat that does not exist yet, or a socketError.
+ */
+const resolveConversation = async (userId, data, { create = false } = {}) => {
+    if (data.conversationId) {
+        const conversationId = parseInt(data.conversationId);
+        const conversation = conversationId && await db.getConversationById(conversationId);
+        if (!conversation || !(await db.getMembership(conversationId, userId))) {
+            return socketError('NOT_FOUND', 'Conversation not found.');
+        }
+        let recipientId = null;
+        if (conversation.type === 'direct') {
+            const members = await db.getConversationMembers(conversationId);
+            const partner = members.find(m => m.userId !== userId);
+            recipientId = partner ? partner.userId : null;
+        }
+        return { conversationId, type: conversation.type, recipientId };
+    }
+
+    // User ids are UUID strings (see migrations/001_users_and_sessions.js)
+    const recipientId = data.recipientId ? String(data.recipientId) : null;
+    if (!recipientId) {
+        return socketError('BAD_REQUEST', 'recipientId or conversationId is required.');
+    }
+    if (recipientId === userId) {
+        return socketError('BAD_REQUEST', 'You cannot message yourself.');
+    }
+    if (!create) {
+        const existing = await db.findDirectConversation(userId, recipientId);
+        return existing ? { conversationId: existing.conversation_id, type: 'direct', recipientId } : null;
+    }
+    if (!(await db.findUserById(recipientId))) {
+        return socketError('NOT_FOUND', 'User not found.');
+    }
+    // Users who blocked each other cannot start a chat
+    if (await db.isBlockedBetween(userId, recipientId)) {
+        return socketError('FORBIDDEN', 'You cannot message this user.');
+    }
+    const { conversationId, created } = await db.getOrCreateDirectConversation(userId, recipientId);
+    if (created) {
+        io.in([userRoom(userId), userRoom(recipientId)]).socketsJoin(conversationRoom(conversationId));
+    }
+    return { conversationId, type: 'direct', recipientId };
+};
+
+/**
+ * A conversation with its members, as sent in 'conversationUpdated' and by the REST API.
+ */
+const getConversationDetails = async (conversationId) => {
+    const conversation = await db.getConversationById(conversationId);
+    if (!conversation) {
+        return null;
+    }
+    const members = await db.getConversationMembers(conversationId);
+    return {
+        ...conversation,
+        members: members.map(m => ({ ...m, profilePicUrl: m.profilePicUrl || '/default-user.png' }))
+    };
+};
+
+/**
+ * Sends the current state of a group to all of its members.
+ */
+const broadcastConversationUpdate = async (conversationId) => {
+    const conversation = await getConversationDetails(conversationId);
+    io.to(conversationRoom(conversationId)).emit('conversationUpdated', conversation);
+    return conversation;
+};
+
+const parseGroupName = (name) => {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    return trimmed && trimmed.length <= MAX_GROUP_NAME_LENGTH ? trimmed : null;
+};
+
+/**
+ * @returns {Array<string>|null} Distinct user ids, or null if the input is not a list of non-empty ids.
+ */
+const parseUserIds = (ids) => {
+    if (!Array.isArray(ids)) {
+        return null;
+    }
+    const parsed = ids.map(id => (typeof id === 'string' || typeof id === 'number' ? String(id) : ''));
+    return parsed.every(id => id !== '') ? [...new Set(parsed)] : null;
+};
+
+/**
+ * The ids among userIds that the user blocked or was blocked by. Putting them in a group with
+ * the user would open the chat that resolveConversation refuses for direct messages.
+ */
+const findBlockedAmong = async (userId, userIds) => {
+    const blocked = (await db.getBlockedIdsForUsers([userId])).get(String(userId));
+    return blocked ? userIds.filter(id => blocked.has(id)) : [];
+};
+
+/**
+ * Middleware for group routes: the caller must be a member of the group in :conversationId,
+ * with at least the given role. Exposes { conversationId, role } as req.conversation.
+ */
+const requireGroupRole = (minimumRole) => async (req, res, next) => {
+    try {
+        const conversationId = parseInt(req.params.conversationId);
+        const conversation = conversationId && await db.getConversationById(conversationId);
+        const membership = conversation && await db.getMembership(conversationId, req.user.userId);
+        if (!membership) {
+            return res.status(404).json({ success: false, message: 'Conversation not found.' });
+        }
+        if (conversation.type !== 'group') {
+            return res.status(400).json({ success: false, message: 'Only group conversations can be managed.' });
+        }
+        if (GROUP_ROLES.indexOf(membership.role) < GROUP_ROLES.indexOf(minimumRole)) {
+            return res.status(403).json({ success: false, message: 'Only group admins can do this.' });
+        }
+        req.conversation = { conversationId, role: membership.role };
+        next();
+    } catch (error) {
+        console.error('Group lookup error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+};
+
+/**
+ * Validates comment text from a request body.
+ * @returns {string|null} An error message, or null if the text is acceptable.
+ */
+const validateCommentText = (text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        return 'Comment text is required.';
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+        return `Comments are limited to ${MAX_COMMENT_LENGTH} characters.`;
+    }
+    return null;
+};
+
+/**
+ * Route handler listing a page of comments, oldest first (?after=<cursor>&limit=N).
+ * Top-level comments when mounted on a post, replies when mounted on a comment.
+ */
+const commentPageHandler = (resolveThread) => async (req, res) => {
+    const after = pagination.decodeCursor(req.query.after);
+    if (req.query.after && !after) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
+
+    try {
+        const thread = await resolveThread(req);
+        if (!thread) {
+            return res.status(404).json({ success: false, message: 'Not found.' });
+        }
+        const rows = await db.getCommentsForPost(thread.postId, { parentId: thread.parentId, after, limit: limit + 1, viewerId: req.user.userId });
+        const page = pagination.buildPage(rows, limit, c => pagination.encodeCursor(c.timestamp, c.commentId));
+        res.json({ success: true, comments: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch comments.' });
+    }
+};
+
+/**
+ * A reaction must be a single short emoji (including ZWJ sequences and skin tones).
+ */
+const isValidEmoji = (emoji) => {
+    return typeof emoji === 'string' && emoji.length > 0 && emoji.length <= 16
+        && /\p{Extended_Pictographic}/u.test(emoji) && !/[\s\p{L}\p{N}]/u.test(emoji);
+};
+
+/**
+ * Checks that a reaction target exists and the user may see it.
+ * @returns {Promise<Object|null>} { rooms, ownerId } where rooms lists who receives updates
+ *   (null means everyone, as for posts) and ownerId is a post's author, or null if the
+ *   target is not accessible.
+ */
+const resolveReactionTarget = async (targetType, targetId, userId) => {
+    if (targetType === 'post') {
+        const post = await db.getPostById(targetId, userId);
+        return post ? { rooms: null, ownerId: post.userId } : null;
+    }
+    // Message reactions are only visible to the members of the conversation
+    const message = await db.getMessageById(targetId);
+    if (!message || !(await db.getMembership(message.conversation_id, userId))) {
+        return null;
+    }
+    return { rooms: [conversationRoom(message.conversation_id)] };
+};
+
+/**
+ * Adds, removes or toggles a reaction and broadcasts the new aggregate as 'reactionUpdate'.
+ * Post updates keep likeCount (the ❤️ count) so like counters stay backward compatible.
+ * @returns {Promise<Object>} The acknowledgement for the reacting client.
+ */
+const applyReaction = async (user, { targetType, targetId, emoji, action = 'toggle' }) => {
+    if (!REACTION_TARGETS.includes(targetType) || !targetId) {
+        return socketError('BAD_REQUEST', `targetType must be one of: ${REACTION_TARGETS.join(', ')}, and targetId is required.`);
+    }
+    if (!isValidEmoji(emoji)) {
+        return socketError('BAD_REQUEST', 'emoji must be a single emoji.');
+    }
+    if (!REACTION_ACTIONS.includes(action)) {
+        return socketError('BAD_REQUEST', `action must be one of: ${REACTION_ACTIONS.join(', ')}.`);
+    }
+
+    const target = await resolveReactionTarget(targetType, targetId, user.userId);
+    if (!target) {
+        return socketError('NOT_FOUND', 'Reaction target not found.');
+    }
+
+    let added;
+    if (action === 'toggle') {
+        added = !(await db.hasReaction(targetType, targetId, user.userId, emoji));
+    } else {
+        added = action === 'add';
+    }
+    if (added) {
+        await db.addReaction(targetType, targetId, user.userId, emoji);
+    } else {
+        await db.removeReaction(targetType, targetId, user.userId, emoji);
+    }
+
+    const summary = (await db.getReactionSummaries(targetType, [targetId]))[String(targetId)] || [];
+    const payload = {
+        targetType,
+        targetId,
+        reactions: summary.map(({ emoji: e, count }) => ({ emoji: e, count })),
+        // Who changed what, so the reacting user's other devices can update their own state
+        userId: user.userId,
+        emoji,
+        added
+    };
+    if (targetType === 'post') {
+        const like = summary.find(r => r.emoji === db.LIKE_EMOJI);
+        payload.postId = targetId;
+        payload.likeCount = like ? like.count : 0;
+
+        if (added) {
+            await notify({ userId: target.ownerId, actorId: user.userId, type: 'like', postId: targetId, preview: emoji });
+        } else {
+            await db.deleteLikeNotification(target.ownerId, user.userId, targetId, emoji);
+        }
+    }
+
+    (target.rooms ? io.to(target.rooms) : io).emit('reactionUpdate', payload);
+    return { success: true, ...payload };
+};
+
+/**
+ * Loads what a report points at, checking that the reporter can see it.
+ * @returns {Promise<Object|null>} { targetUserId, contentSnapshot } or null if the target
+ *   does not exist or is not visible to the user.
+ */
+const resolveReportTarget = async (targetType, targetId, userId) => {
+    switch (targetType) {
+        case 'post': {
+            const post = await db.getPostById(targetId);
+            return post ? { targetUserId: post.userId, contentSnapshot: post.content || post.mediaUrl } : null;
+        }
+        case 'comment': {
+            const comment = await db.getCommentById(targetId);
+            return comment && !comment.isDeleted ? { targetUserId: comment.userId, contentSnapshot: comment.text } : null;
+        }
+        case 'message': {
+            const message = await db.getMessageById(targetId);
+            if (!message || message.removed_at || !(await db.getMembership(message.conversation_id, userId))) {
+                return null;
+            }
+            return { targetUserId: message.sender_id, contentSnapshot: message.message_text };
+        }
+        case 'user': {
+            const user = await db.findUserById(targetId);
+            return user ? { targetUserId: user.user_id, contentSnapshot: user.username } : null;
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * The current state of a moderation target, whatever its visibility, for the review page.
+ */
+const getModerationTarget = async (targetType, targetId) => {
+    switch (targetType) {
+        case 'post': return db.getPostForModeration(targetId);
+        case 'comment': return db.getCommentForModeration(targetId);
+        case 'message': return db.getMessageById(targetId);
+        case 'user': return db.getUserRole(targetId).then(account => account && { userId: targetId, ...account });
+        default: return null;
+    }
+};
+
+/**
+ * Carries out a moderator action and updates connected clients: hidden or removed posts and
+ * comments disappear from feeds and open threads, removed messages from chats, and suspended
+ * users are signed out everywhere.
+ * @param {Object} options - { note, durationHours } (the duration only applies to 'suspend').
+ * @returns {Promise<boolean>} false if the target does not exist or the action does not apply to it.
+ */
+const applyModerationAction = async (moderatorId, targetType, targetId, action, { note = null, durationHours = null } = {}) => {
+    switch (targetType) {
+        case 'post': {
+            const post = await db.getPostForModeration(targetId);
+            if (!post || !(await db.setPostModeration(post.postId, action))) {
+                return false;
+            }
+            if (action !== 'unhide') {
+                io.emit('postRemoved', { postId: post.postId });
+            }
+            return true;
+        }
+        case 'comment': {
+            const comment = await db.getCommentForModeration(targetId);
+            if (!comment || comment.deletedAt) {
+                return false;
+            }
+            const changed = action === 'remove'
+                ? await db.softDeleteComment(comment.commentId, moderatorId)
+                : await db.setCommentHidden(comment.commentId, action === 'hide');
+            if (changed && action !== 'unhide') {
+                const commentCount = await db.getCommentCount(comment.postId);
+                io.to(postRoom(comment.postId)).emit('commentDeleted', { postId: comment.postId, commentId: comment.commentId, commentCount });
+            }
+            return changed;
+        }
+        case 'message': {
+            const message = await db.getMessageById(targetId);
+            if (!message || !(await db.removeMessage(message.message_id))) {
+                return false;
+            }
+            io.to(conversationRoom(message.conversation_id)).emit('messageRemoved', {
+                messageId: message.message_id,
+                conversationId: message.conversation_id
+            });
+            return true;
+        }
+        case 'user': {
+            if (!(await db.findUserById(targetId))) {
+                return false;
+            }
+            if (action === 'unsuspend') {
+                return db.setUserSuspension(targetId, null);
+            }
+            const until = durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : PERMANENT_SUSPENSION;
+            await db.setUserSuspension(targetId, until, note);
+            await db.revokeAllUserSessions(targetId);
+            await disconnectUserSockets(targetId);
+            return true;
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * Validates the { action, note, durationHours } of a moderation request for a target type.
+ * @returns {string|null} An error message, or null if the request is acceptable.
+ */
+const validateModerationRequest = (targetType, { action, note = null, durationHours = null }) => {
+    if (!MODERATION_ACTIONS[targetType] || !MODERATION_ACTIONS[targetType].includes(action)) {
+        return `action must be one of: ${(MODERATION_ACTIONS[targetType] || []).join(', ')}.`;
+    }
+    if (note !== null && (typeof note !== 'string' || note.length > MAX_REPORT_DETAILS_LENGTH)) {
+        return `note must be a string of at most ${MAX_REPORT_DETAILS_LENGTH} characters.`;
+    }
+    if (durationHours !== null && !(Number.isInteger(durationHours) && durationHours > 0)) {
+        return 'durationHours must be a positive whole number of hours.';
+    }
+    return null;
+};
+
+/**
+ * Shortens user text for notification previews.
+ */
+const previewText = (text) => {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > NOTIFICATION_PREVIEW_LENGTH ? `${flat.slice(0, NOTIFICATION_PREVIEW_LENGTH - 1)}…` : flat;
+};
+
+const formatNotification = (n) => ({
+    ...n,
+    actorProfilePicUrl: n.actorProfilePicUrl || '/default-user.png'
+});
+
+/**
+ * Records a notification and pushes it as 'notification' to the target user's devices only.
+ * Nothing is recorded for a user's own actions or for types they switched off.
+ * Failures are logged rather than thrown, so they never fail the action that caused them.
+ * @param {Object} notification - { userId (target), actorId, type, postId, commentId, conversationId, preview }
+ */
+const notify = async (notification) => {
+    if (String(notification.userId) === String(notification.actorId)) {
+        return;
+    }
+    try {
+        if (await db.isBlockedBetween(notification.userId, notification.actorId)) {
+            return;
+        }
+        const preferences = await db.getNotificationPreferences(notification.userId);
+        if (!preferences[notification.type].inApp) {
+            return;
+        }
+        const stored = await db.createNotification({ ...notification, preview: notification.preview && previewText(notification.preview) });
+        const unreadCount = await db.getUnreadNotificationCount(notification.userId);
+        io.to(userRoom(notification.userId)).emit('notification', { notification: formatNotification(stored), unreadCount });
+    } catch (error) {
+        console.error(`Error creating ${notification.type} notification:`, error);
+    }
+};
+
+/**
+ * Stores the #hashtags and @mentions of a post or comment that was just created or edited.
+ * Mentions are resolved to user ids; unknown usernames are ignored.
+ * @param {'post'|'comment'} targetType
+ * @returns {Promise<Array>} Ids of the users mentioned for the first time in this text.
+ */
+const saveEntities = async (targetType, targetId, postId, authorId, text) => {
+    const mentioned = await db.findUsersByUsernames(entities.extractMentions(text));
+    return db.setContentEntities(targetType, targetId, {
+        postId,
+        authorId,
+        tags: entities.extractHashtags(text),
+        mentionedUserIds: mentioned.map(u => u.user_id).filter(id => String(id) !== String(authorId))
+    });
+};
+
+/**
+ * Notifies the users newly @mentioned in a post or comment.
+ * @param {Array} userIds - As returned by saveEntities.
+ * @param {Object} target - { postId, commentId } the mention appears in.
+ * @param {Array} [alreadyNotified] - User ids that got another notification for the same text.
+ */
+const notifyMentions = async (userIds, actorId, target, text, alreadyNotified = []) => {
+    const skip = new Set(alreadyNotified.map(String));
+    for (const userId of userIds.filter(id => !skip.has(String(id)))) {
+        await notify({ userId, actorId, type: 'mention', ...target, preview: text });
+    }
+};
+
+/**
+ * Sends a templated email ({ subject, text, html } from emails.js).
+ */
+const sendEmail = (to, { subject, text, html }) => transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+/**
+ * Emails a fresh verification link to a user, replacing any earlier link.
+ * Account emails link to the SPA with the token in the URL fragment, which browsers never
+ * send to the server, so tokens do not end up in access logs or Referer headers.
+ */
+const sendVerificationEmail = async (userId, email, username) => {
+    const token = await auth.createEmailVerificationToken(userId);
+    await sendEmail(email, emails.emailVerificationEmail({
+        username,
+        link: `${APP_URL}/#verify-email=${token}`,
+        expiresInHours: 48
+    }));
+};
+
+/**
+ * Emails each offline user one digest of their unread, not yet emailed notifications.
+ * @returns {Promise<number>} The number of digests sent.
+ */
+const sendNotificationDigests = async () => {
+    const rows = await db.getPendingDigestNotifications(new Date(Date.now() - NOTIFICATION_DIGEST_DELAY_MS));
+    const byUser = new Map();
+    rows.forEach(n => {
+        if (!byUser.has(n.userId)) byUser.set(n.userId, []);
+        byUser.get(n.userId).push(n);
+    });
+
+    let sent = 0;
+    for (const notifications of byUser.values()) {
+        const { email, username } = notifications[0];
+        try {
+            await sendEmail(email, emails.notificationDigestEmail({
+                username, notifications, maxItems: NOTIFICATION_DIGEST_MAX_ITEMS, appUrl: APP_URL
+            }));
+            await db.markNotificationsEmailed(notifications.map(n => n.notificationId));
+            sent++;
+        } catch (error) {
+            console.error(`Error emailing notification digest to user ${notifications[0].userId}:`, error);
+        }
+    }
+    return sent;
+};
+
+/**
+ * Disconnects the live sockets of a user, either for one login session or for all of them.
+ * Used on logout so a revoked session cannot keep chatting over an open connection.
+ */
+const disconnectUserSockets = async (userId, sessionId = null) => {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    sockets
+        .filter(s => !sessionId || s.data.user.sessionId === sessionId)
+        .forEach(s => s.disconnect(true));
+};
+
+
+// --- API Routes (Modified/Added) ---
+
+// AUTH: Signup endpoint (MODIFIED to save a default profile pic)
+app.post('/api/signup', rateLimit.limitRequests([limits.signup, byIp]), async (req, res) => {
+    const { email, password, username } = req.body || {};
+    if (!email || !password || !username) {
+        return res.status(400).json({ success: false, message: 'All fields are required.' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` });
+    }
+    if (!USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ success: false, message: 'Username must be 3-30 letters, digits or underscores.' });
+    }
+
+    try {
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        const userId = uuidv4();
+        const defaultProfilePicUrl = '/default-user.png'; // Default PFP
+
+        const success = await db.createUser(userId, email, hashedPassword, username, defaultProfilePicUrl);
+
+        if (success) {
+            const user = { userId, username };
+            const tokens = await auth.issueTokens(user);
+            await auth.startCookieSession(req, user, tokens.sessionId);
+            // The account is usable right away, but limited until the emailed link is opened
+            sendVerificationEmail(userId, email, username)
+                .catch(err => console.error('Verification email error:', err));
+
+            res.json({
+                success: true,
+                message: 'User created successfully.',
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                userId,
+                username,
+                profilePicUrl: defaultProfilePicUrl, // NEW
+                emailVerified: false
+            });
+        } else {
+             return res.status(500).json({ success: false, message: 'Failed to create user due to database issue.' });
+        }
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ success: false, message: 'Email or Username already taken.' });
+        }
+        console.error('Signup error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// AUTH: Login endpoint (MODIFIED to return profile picture URL)
+app.post('/api/login', rateLimit.limitRequests([limits.login, byIp]), async (req, res) => {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+        return res.status(400).json({ success: false, message: 'Email and password are required.' });
+    }
+
+    // Lockouts are keyed by the address typed in, registered or not, so they reveal nothing
+    const accountKey = String(email).trim().toLowerCase();
+
+    try {
+        const lockedForMs = await loginLockout.lockedFor(accountKey);
+        if (lockedForMs > 0) {
+            return rateLimit.sendTooManyRequests(res, lockedForMs, 'Too many failed login attempts.');
+        }
+
+        const user = await db.findUserByEmail(email);
+
+        if (!user) {
+            await loginLockout.recordFailure(accountKey);
+            return res.status(401).json({ success: false, message: 'Invalid credentials.' });
+        }
+
+        const match = await bcrypt.compare(password, user.password_hash);
+
+        if (match) {
+            await loginLockout.reset(accountKey);
+            if (user.suspended_until && new Date(user.suspended_until) > new Date()) {
+                const permanent = new Date(user.suspended_until) >= PERMANENT_SUSPENSION;
+                return res.status(403).json({
+                    success: false,
+                    code: 'ACCOUNT_SUSPENDED',
+                    message: permanent ? 'This account has been suspended.' : `This account is suspended until ${new Date(user.suspended_until).toISOString()}.`
+                });
+            }
+            const tokenUser = { userId: user.user_id, username: user.username };
+            const tokens = await auth.issueTokens(tokenUser);
+            await auth.startCookieSession(req, tokenUser, tokens.sessionId);
+
+            res.json({
+                success: true,
+                message: 'Login successful.',
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                userId: user.user_id,
+                username: user.username,
+                profilePicUrl: user.profile_pic_url || '/default-user.png', // NEW
+                emailVerified: user.email_verified_at !== null,
+                role: user.role
+            });
+        } else {
+            await loginLockout.recordFailure(accountKey);
+            res.status(401).json({ success: false, message: 'Invalid credentials.' });
+        }
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// AUTH: Exchange a refresh token for a new access/refresh pair (rotation)
+app.post('/api/token/refresh', rateLimit.limitRequests([limits.tokenRefresh, byIp]), async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+        return res.status(400).json({ success: false, message: 'Refresh token is required.' });
+    }
+
+    try {
+        const tokens = await auth.rotateRefreshToken(refreshToken);
+        if (!tokens) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired refresh token.' });
+        }
+        res.json({
+            success: true,
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            userId: tokens.userId,
+            username: tokens.username
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// AUTH: Logout the current session, or every session of the user with { allSessions: true }
+app.post('/api/logout', requireAuth, async (req, res) => {
+    try {
+        if (req.body && req.body.allSessions) {
+            await db.revokeAllUserSessions(req.user.userId);
+            await disconnectUserSockets(req.user.userId);
+        } else {
+            await db.revokeSession(req.user.sessionId);
+            await disconnectUserSockets(req.user.userId, req.user.sessionId);
+        }
+        await auth.endCookieSession(req);
+        res.json({ success: true, message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// AUTH: Forgot Password endpoint { email }. The answer is the same whether or not the email
+// is registered, and the email is sent in the background so timing does not tell either.
+app.post('/api/forgot-password', rateLimit.limitRequests(
+    [limits.passwordReset, byIp],
+    [limits.passwordResetEmail, req => typeof (req.body || {}).email === 'string' ? req.body.email.trim().toLowerCase() : null]
+), async (req, res) => {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+        return res.status(400).json({ success: false, message: 'Email is required.' });
+    }
+
+    try {
+        const user = await db.findUserByEmail(email.trim());
+        if (user) {
+            auth.createPasswordResetToken(user.user_id)
+                .then(token => sendEmail(user.email, emails.passwordResetEmail({
+                    username: user.username,
+                    link: `${APP_URL}/#reset-password=${token}`,
+                    expiresInMinutes: 60
+                })))
+                .catch(err => console.error('Password reset email error:', err));
+        }
+        res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent to it.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// AUTH: Reset Password endpoint { token, newPassword }. Every session of the user is revoked
+// and their open sockets are disconnected, so they log in again with the new password.
+app.post('/api/reset-password', rateLimit.limitRequests([limits.passwordReset, byIp]), async (req, res) => {
+    const { token, newPassword } = req.body || {};
+    if (!token || typeof token !== 'string' || typeof newPassword !== 'string') {
+        return res.status(400).json({ success: false, message: 'Token and new password are required.' });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` });
+    }
+
+    try {
+        const user = await auth.resetPassword(token, await bcrypt.hash(newPassword, saltRounds));
+        if (!user) {
+            return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired.' });
+        }
+        await disconnectUserSockets(user.userId);
+        res.json({ success: true, message: 'Your password has been reset. Please log in.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// AUTH: Confirm an email address with the token from the verification link { token }
+app.post('/api/verify-email', rateLimit.limitRequests([limits.emailVerification, byIp]), async (req, res) => {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+        return res.status(400).json({ success: false, message: 'Token is required.' });
+    }
+
+    try {
+        const user = await auth.verifyEmail(token);
+        if (!user) {
+            return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired.' });
+        }
+        io.to(userRoom(user.user_id)).emit('emailVerified', { userId: user.user_id });
+        res.json({ success: true, message: 'Your email address is confirmed.' });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// AUTH: Send the verification email again (at most once per VERIFICATION_RESEND_INTERVAL_MS)
+app.post('/api/resend-verification', requireAuth, rateLimit.limitRequests([limits.verificationEmail, byUser]), async (req, res) => {
+    try {
+        const status = await db.getEmailVerificationStatus(req.user.userId);
+        if (!status) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        if (status.verified) {
+            return res.status(400).json({ success: false, message: 'Your email address is already confirmed.' });
+        }
+        const sentAt = await db.getEmailVerificationSentAt(req.user.userId);
+        if (sentAt && Date.now() - new Date(sentAt).getTime() < VERIFICATION_RESEND_INTERVAL_MS) {
+            return res.status(429).json({ success: false, message: 'A verification email was just sent. Please wait a minute before asking again.' });
+        }
+        await sendVerificationEmail(req.user.userId, status.email, status.username);
+        res.json({ success: true, message: `A new verification link has been sent to ${status.email}.` });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ success: false, message: 'Could not send the verification email.' });
+    }
+});
+
+// PROFILE: Update Profile Picture (NEW Production Ready Route)
+app.post('/api/update-profile-pic', requireAuth, limitUploads, acceptUpload('profilePic'), async (req, res) => {
+    // 'profilePic' must match the field name in the frontend FormData
+    const { userId } = req.user;
+
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No image file uploaded.' });
+    }
+
+    try {
+        const stored = await media.processUpload(req.file, 'profilePic', UPLOAD_DIRS.profilePic);
+        // The URLs are relative to the 'public' directory; the 256px avatar is the profile picture
+        const avatars = {};
+        [64, 128, 256].forEach(size => {
+            avatars[size] = `/uploads/profile_pics/${stored.files[`avatar-${size}`]}`;
+        });
+        const profilePicUrl = avatars[256];
+
+        const success = await db.updateUserProfilePic(userId, profilePicUrl);
+
+        if (success) {
+            // Broadcast the update to all clients to refresh UI instantly. The name comes from the
+            // database: the token's may predate a rename on another device
+            const { username } = await db.findUserById(userId);
+            io.emit('profileUpdated', { userId, username, profilePicUrl });
+
+            res.json({
+                success: true,
+                message: 'Profile picture updated successfully.',
+                profilePicUrl,
+                avatars,
+                placeholder: stored.placeholder
+            });
+        } else {
+             res.status(500).json({ success: false, message: 'Failed to update profile picture in DB.' });
+        }
+
+    } catch (error) {
+        if (sendUploadError(res, error)) return;
+        console.error('Profile picture update error:', error);
+        res.status(500).json({ success: false, message: 'Server error updating profile.' });
+    }
+});
+
+// FILES: Generic File Upload (NEW for chat/post media)
+// Images come back with their dimensions, a feed thumbnail and a tiny placeholder so the
+// client can reserve space before the image loads; pass them on to POST /api/posts as `media`.
+app.post('/api/upload-file', requireAuth, requireVerifiedEmail, limitUploads, acceptUpload('mediaFile'), async (req, res) => {
+    // 'mediaFile' must match the field name in the frontend FormData
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded.' });
+    }
+
+    try {
+        const stored = await media.processUpload(req.file, 'mediaFile', UPLOAD_DIRS.mediaFile);
+
+        // The URLs are relative to the 'public' directory
+        res.json({
+            success: true,
+            message: 'File uploaded successfully.',
+            fileUrl: `/uploads/files/${stored.files.full}`,
+            thumbnailUrl: stored.files.thumbnail ? `/uploads/files/${stored.files.thumbnail}` : null,
+            kind: stored.kind,
+            mimeType: stored.mimeType,
+            sizeBytes: stored.sizeBytes,
+            width: stored.width,
+            height: stored.height,
+            placeholder: stored.placeholder,
+            originalName: req.file.originalname // Useful for display
+        });
+    } catch (error) {
+        if (sendUploadError(res, error)) return;
+        console.error('File upload error:', error);
+        res.status(500).json({ success: false, message: 'Server error saving file.' });
+    }
+});
+
+
+// CHAT: Get a page of the user's conversations (?before=<cursor>&limit=N), most recently active
+// first, each with its last message and unread count. Direct ones carry the partner's userId,
+// username and profilePicUrl; groups their name.
+app.get('/api/conversations', requireAuth, async (req, res) => {
+    const before = pagination.decodeCursor(req.query.before);
+    if (req.query.before && !before) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
+
+    try {
+        const rows = await db.getConversations(req.user.userId, { before, limit: limit + 1 });
+        const page = pagination.buildPage(rows, limit, c => pagination.encodeCursor(c.activityAt, c.conversationId));
+        res.json({
+            success: true,
+            conversations: page.items.map(c => ({
+                ...c,
+                profilePicUrl: c.type === 'direct' ? (c.profilePicUrl || '/default-user.png') : null
+            })),
+            nextCursor: page.nextCursor,
+            hasMore: page.hasMore
+        });
+    } catch (error) {
+        console.error('Conversations fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching conversations.' });
+    }
+});
+
+// GROUPS: Create a named group { name, memberIds }. The creator is its first admin.
+app.post('/api/conversations', requireAuth, requireVerifiedEmail, rateLimit.limitRequests([limits.groupCreate, byUser]), async (req, res) => {
+    const { name: rawName, memberIds: rawMemberIds } = req.body || {};
+    const name = parseGroupName(rawName);
+    const memberIds = parseUserIds(rawMemberIds);
+    if (!name) {
+        return res.status(400).json({ success: false, message: `name must be 1-${MAX_GROUP_NAME_LENGTH} characters.` });
+    }
+    if (!memberIds || memberIds.length === 0 || memberIds.length >= MAX_GROUP_MEMBERS) {
+        return res.status(400).json({ success: false, message: `memberIds must list 1-${MAX_GROUP_MEMBERS - 1} users.` });
+    }
+
+    try {
+        if ((await findBlockedAmong(req.user.userId, memberIds)).length > 0) {
+            return res.status(403).json({ success: false, message: 'You cannot add users you blocked or who blocked you.' });
+        }
+        const conversationId = await db.createGroupConversation(name, req.user.userId, memberIds);
+        const members = await db.getConversationMembers(conversationId);
+        io.in(members.map(m => userRoom(m.userId))).socketsJoin(conversationRoom(conversationId));
+        const conversation = await broadcastConversationUpdate(conversationId);
+        res.status(201).json({ success: true, conversation });
+    } catch (error) {
+        console.error('Group creation error:', error);
+        res.status(500).json({ success: false, message: 'Server error creating group.' });
+    }
+});
+
+// GROUPS: Get a conversation with its members (members only)
+app.get('/api/conversations/:conversationId', requireAuth, async (req, res) => {
+    try {
+        const conversationId = parseInt(req.params.conversationId);
+        if (!conversationId || !(await db.getMembership(conversationId, req.user.userId))) {
+            return res.status(404).json({ success: false, message: 'Conversation not found.' });
+        }
+        res.json({ success: true, conversation: await getConversationDetails(conversationId) });
+    } catch (error) {
+        console.error('Conversation fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// GROUPS: Rename a group { name } (admins only)
+app.patch('/api/conversations/:conversationId', requireAuth, requireGroupRole('admin'), async (req, res) => {
+    const name = parseGroupName((req.body || {}).name);
+    if (!name) {
+        return res.status(400).json({ success: false, message: `name must be 1-${MAX_GROUP_NAME_LENGTH} characters.` });
+    }
+    try {
+        await db.renameConversation(req.conversation.conversationId, name);
+        const conversation = await broadcastConversationUpdate(req.conversation.conversationId);
+        res.json({ success: true, conversation });
+    } catch (error) {
+        console.error('Group rename error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// GROUPS: Add members { userIds } (admins only)
+app.post('/api/conversations/:conversationId/members', requireAuth, requireGroupRole('admin'), async (req, res) => {
+    const userIds = parseUserIds((req.body || {}).userIds);
+    if (!userIds || userIds.length === 0) {
+        return res.status(400).json({ success: false, message: 'userIds must be a non-empty list of user ids.' });
+    }
+    const { conversationId } = req.conversation;
+
+    try {
+        const current = await db.getConversationMembers(conversationId);
+        if (current.length + userIds.length > MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ success: false, message: `Groups are limited to ${MAX_GROUP_MEMBERS} members.` });
+        }
+        if ((await findBlockedAmong(req.user.userId, userIds)).length > 0) {
+            return res.status(403).json({ success: false, message: 'You cannot add users you blocked or who blocked you.' });
+        }
+        const added = await db.addConversationMembers(conversationId, userIds);
+        if (added.length > 0) {
+            io.in(added.map(userRoom)).socketsJoin(conversationRoom(conversationId));
+        }
+        const conversation = await broadcastConversationUpdate(conversationId);
+        res.json({ success: true, added, conversation });
+    } catch (error) {
+        console.error('Add members error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// GROUPS: Change a member's role { role: 'admin'|'member' } (admins only)
+app.patch('/api/conversations/:conversationId/members/:userId', requireAuth, requireGroupRole('admin'), async (req, res) => {
+    const { role } = req.body || {};
+    if (!GROUP_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `role must be one of: ${GROUP_ROLES.join(', ')}.` });
+    }
+    const { conversationId } = req.conversation;
+    const memberId = req.params.userId;
+
+    try {
+        if (role === 'member') {
+            const admins = (await db.getConversationMembers(conversationId)).filter(m => m.role === 'admin');
+            if (admins.length === 1 && admins[0].userId === memberId) {
+                return res.status(400).json({ success: false, message: 'A group needs at least one admin.' });
+            }
+        }
+        if (!(await db.setMemberRole(conversationId, memberId, role))) {
+            return res.status(404).json({ success: false, message: 'Member not found.' });
+        }
+        const conversation = await broadcastConversationUpdate(conversationId);
+        res.json({ success: true, conversation });
+    } catch (error) {
+        console.error('Member role error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// GROUPS: Remove a member (admins only), or leave the group (any member, with their own userId)
+app.delete('/api/conversations/:conversationId/members/:userId', requireAuth, requireGroupRole('member'), async (req, res) => {
+    const { conversationId, role } = req.conversation;
+    const memberId = req.params.userId;
+    const isLeaving = memberId === req.user.userId;
+    if (!isLeaving && role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Only group admins can remove members.' });
+    }
+
+    try {
+        const { removed } = await db.removeConversationMember(conversationId, memberId);
+        if (!removed) {
+            return res.status(404).json({ success: false, message: 'Member not found.' });
+        }
+        io.in(userRoom(memberId)).socketsLeave(conversationRoom(conversationId));
+        io.to(userRoom(memberId)).emit('conversationRemoved', { conversationId, left: isLeaving });
+        await broadcastConversationUpdate(conversationId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// CHAT: Upload an attachment before sending it. The returned attachmentId is then passed
+// in the privateMessage event's attachmentIds; until then only the uploader can fetch it.
+app.post('/api/chat/attachments', requireAuth, requireVerifiedEmail, limitUploads, acceptUpload('attachment'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded.' });
+    }
+
+    try {
+        const stored = await media.processUpload(req.file, 'attachment', UPLOAD_DIRS.attachment);
+        const attachment = {
+            attachment_id: uuidv4(),
+            uploader_id: req.user.userId,
+            storage_path: stored.files.full,
+            thumbnail_path: stored.files.thumbnail || null,
+            original_name: req.file.originalname,
+            mime_type: stored.mimeType,
+            size_bytes: stored.sizeBytes,
+            kind: stored.kind,
+            width: stored.width,
+            height: stored.height,
+            placeholder: stored.placeholder
+        };
+
+        await db.createAttachment({
+            attachmentId: attachment.attachment_id,
+            uploaderId: attachment.uploader_id,
+            storagePath: attachment.storage_path,
+            thumbnailPath: attachment.thumbnail_path,
+            originalName: attachment.original_name,
+            mimeType: attachment.mime_type,
+            sizeBytes: attachment.size_bytes,
+            kind: attachment.kind,
+            width: attachment.width,
+            height: attachment.height,
+            placeholder: attachment.placeholder
+        });
+        res.status(201).json({ success: true, attachment: formatAttachment(attachment) });
+    } catch (error) {
+        if (sendUploadError(res, error)) return;
+        // Stored files are content-addressed and may be shared with other uploads, so they are kept
+        console.error('Attachment upload error:', error);
+        res.status(500).json({ success: false, message: 'Server error saving attachment.' });
+    }
+});
+
+// CHAT: Download an attachment (?variant=thumbnail for the image preview). Only members of the
+// message's conversation can fetch it (or the uploader, while it has not been sent yet).
+app.get('/api/attachments/:attachmentId', requireAuth, async (req, res) => {
+    const { userId } = req.user;
+
+    try {
+        const attachment = await db.getAttachmentWithMessage(req.params.attachmentId);
+        const allowed = attachment && !attachment.removed_at && (attachment.message_id
+            ? Boolean(await db.getMembership(attachment.conversation_id, userId))
+            : attachment.uploader_id === userId);
+        // 404 rather than 403 so attachment ids cannot be probed
+        if (!allowed) {
+            return res.status(404).json({ success: false, message: 'Attachment not found.' });
+        }
+
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Cache-Control', 'private, max-age=3600');
+        if (attachment.kind === 'file') {
+            // Never render arbitrary uploads inline
+            res.attachment(attachment.original_name);
+        }
+        const thumbnail = req.query.variant === 'thumbnail' && attachment.thumbnail_path;
+        res.type(thumbnail ? 'image/webp' : attachment.mime_type);
+        res.sendFile(path.join(ATTACHMENTS_DIR, path.basename(thumbnail || attachment.storage_path)));
+    } catch (error) {
+        console.error('Attachment download error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+
+// POSTS: Get a page of a timeline (?feed=latest|following|forYou&before=<cursor>&limit=N)
+// latest: every post, newest first. following: people you follow, newest first. forYou: ranked.
+app.get('/api/posts', requireAuth, async (req, res) => {
+    const feed = req.query.feed || 'latest';
+    if (!FEEDS.includes(feed)) {
+        return res.status(400).json({ success: false, message: `feed must be one of: ${FEEDS.join(', ')}.` });
+    }
+    const cursor = feed === 'forYou'
+        ? pagination.decodeOffsetCursor(req.query.before)
+        : pagination.decodeCursor(req.query.before);
+    if (req.query.before && !cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
+    const { userId } = req.user;
+
+    try {
+        let page;
+        if (feed === 'forYou') {
+            page = await getForYouPage(userId, cursor, limit);
+        } else {
+            // Fetch one extra row to know whether an older page exists
+            const rows = await db.getAllPosts({
+                before: cursor,
+                limit: limit + 1,
+                followedBy: feed === 'following' ? userId : null,
+                viewerId: userId
+            });
+            page = pagination.buildPage(rows, limit, p => pagination.encodeCursor(p.timestamp, p.postId));
+        }
+
+        const posts = await withViewerState(page.items, userId);
+        res.json({ success: true, feed, posts, nextCursor: page.nextCursor, hasMore: page.hasMore });
+    } catch (error) {
+        console.error('Error fetching posts:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch posts.' });
+    }
+});
+
+// SEARCH: Search posts, users or hashtags (?q=&type=posts|users|tags&after=<cursor>&limit=N).
+// Results are ranked by relevance; users are prefix-matched, so type=users also serves @-autocomplete.
+app.get('/api/search', requireAuth, rateLimit.limitRequests([limits.search, byUser]), async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const type = req.query.type || 'posts';
+    if (!SEARCH_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, message: `type must be one of: ${SEARCH_TYPES.join(', ')}.` });
+    }
+    if (db.searchTerms(q).length === 0 || q.length > MAX_SEARCH_QUERY_LENGTH) {
+        return res.status(400).json({ success: false, message: `q must contain a letter or digit and be at most ${MAX_SEARCH_QUERY_LENGTH} characters.` });
+    }
+    const cursor = pagination.decodeOffsetCursor(req.query.after);
+    if (req.query.after && !cursor) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
+    const asOf = cursor ? cursor.asOf : new Date();
+    const offset = cursor ? cursor.offset : 0;
+    const { userId } = req.user;
+
+    try {
+        // Fetch one extra result to know whether another page exists
+        const options = { asOf, offset, limit: limit + 1, viewerId: userId };
+        const search = { posts: db.searchPosts, users: db.searchUsers, tags: db.searchTags }[type];
+        const rows = await search(q, options);
+        const hasMore = rows.length > limit;
+        let results = rows.slice(0, limit);
+        if (type === 'posts') {
+            results = await withViewerState(results, userId);
+        }
+        res.json({
+            success: true, type, q, results,
+            nextCursor: hasMore ? pagination.encodeOffsetCursor(asOf, offset + limit) : null,
+            hasMore
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ success: false, message: 'Search failed.' });
+    }
+});
+
+// TAGS: The most used hashtags (?hours=N&limit=N), by how many people used them in the window
+app.get('/api/tags/trending', requireAuth, async (req, res) => {
+    const hours = Math.min(parseInt(req.query.hours) || TRENDING_DEFAULT_HOURS, TRENDING_MAX_HOURS);
+    if (hours < 1) {
+        return res.status(400).json({ success: false, message: `hours must be between 1 and ${TRENDING_MAX_HOURS}.` });
+    }
+    const limit = pagination.parseLimit(req.query.limit, 10);
+
+    try {
+        const tags = await db.getTrendingTags(new Date(Date.now() - hours * 60 * 60 * 1000), limit);
+        res.json({ success: true, hours, tags });
+    } catch (error) {
+        console.error('Trending tags error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// TAGS: A page of the posts tagged with a hashtag, newest first (?before=<cursor>&limit=N)
+app.get('/api/tags/:tag/posts', requireAuth, async (req, res) => {
+    const tag = entities.normalizeTag(req.params.tag);
+    if (!tag) {
+        return res.status(400).json({ success: false, message: 'Invalid hashtag.' });
+    }
+    const before = pagination.decodeCursor(req.query.before);
+    if (req.query.before && !before) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
+    const { userId } = req.user;
+
+    try {
+        const [rows, postCount] = await Promise.all([
+            db.getPostsByTag(tag, { before, limit: limit + 1, viewerId: userId }),
+            db.getTagPostCount(tag)
+        ]);
+        const page = pagination.buildPage(rows, limit, p => pagination.encodeCursor(p.timestamp, p.postId));
+        const posts = await withViewerState(page.items, userId);
+        res.json({ success: true, tag, postCount, posts, nextCursor: page.nextCursor, hasMore: page.hasMore });
+    } catch (error) {
+        console.error('Tag page error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// POSTS: Create new post (MODIFIED to handle mediaUrl)
+app.post('/api/posts', requireAuth, requireVerifiedEmail, rateLimit.limitRequests([limits.post, byUser]), async (req, res) => {
+    const { userId } = req.user;
+    const { content, media: mediaInput, mediaUrl } = req.body || {};
+    if (content != null && typeof content !== 'string') {
+        return res.status(400).json({ success: false, message: 'content must be text.' });
+    }
+    if (content && content.length > MAX_POST_LENGTH) {
+        return res.status(400).json({ success: false, message: `Posts are limited to ${MAX_POST_LENGTH} characters.` });
+    }
+
+    // `media` is the metadata returned by /api/upload-file; a bare mediaUrl must also be a stored upload
+    let postMedia = null;
+    if (mediaInput || mediaUrl) {
+        postMedia = parsePostMedia(mediaInput || { url: mediaUrl });
+        if (!postMedia) {
+            return res.status(400).json({ success: false, message: 'Invalid media.' });
+        }
+    }
+
+    if (!content && !postMedia) {
+        return res.status(400).json({ success: false, message: 'Content or media URL is required.' });
+    }
+    try {
+        const postId = uuidv4();
+        const success = await db.createPost(postId, userId, content, postMedia);
+
+        if (success) {
+            // Current name and picture for the broadcast (the token's name may predate a rename)
+            const { username, profile_pic_url: profilePicUrl } = await db.findUserById(userId);
+            // Fetch the newly created post (or construct it) for the broadcast
+            const newPost = {
+                postId, userId, username, content,
+                mediaUrl: postMedia && postMedia.url,
+                mediaThumbnailUrl: postMedia && postMedia.thumbnailUrl,
+                mediaWidth: postMedia && postMedia.width,
+                mediaHeight: postMedia && postMedia.height,
+                mediaPlaceholder: postMedia && postMedia.placeholder,
+                timestamp: new Date().toISOString(), editedAt: null, likeCount: 0, commentCount: 0, reactions: [],
+                profilePicUrl // Include PFP URL for immediate client rendering
+            };
+            await broadcastNewPost(newPost); // Push to the author's and their followers' feeds
+            const mentionedIds = await saveEntities('post', postId, postId, userId, content);
+            await notifyMentions(mentionedIds, userId, { postId }, content);
+            res.json({ success: true, message: 'Post created successfully.', postId });
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to create post.' });
+        }
+    } catch (error) {
+        console.error('Post creation error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// POSTS: Edit the text of a post (its author only). The previous text is kept in the post's history.
+app.patch('/api/posts/:postId', requireAuth, requireVerifiedEmail, rateLimit.limitRequests([limits.postEdit, byUser]), async (req, res) => {
+    const { userId } = req.user;
+    const { content: rawContent } = req.body || {};
+    if (typeof rawContent !== 'string') {
+        return res.status(400).json({ success: false, message: 'content is required.' });
+    }
+    const content = rawContent.trim();
+    if (content.length > MAX_POST_LENGTH) {
+        return res.status(400).json({ success: false, message: `Posts are limited to ${MAX_POST_LENGTH} characters.` });
+    }
+
+    try {
+        const existing = await db.getPostById(req.params.postId, userId);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+        if (existing.userId !== userId) {
+            return res.status(403).json({ success: false, message: 'You can only edit your own posts.' });
+        }
+        if (!content && !existing.mediaUrl) {
+            return res.status(400).json({ success: false, message: 'A post without media needs some text.' });
+        }
+
+        if (content !== (existing.content || '')) {
+            await db.updatePost(existing.postId, content);
+            // Only people mentioned by the edit are notified, not everyone mentioned before
+            const mentionedIds = await saveEntities('post', existing.postId, existing.postId, userId, content);
+            await notifyMentions(mentionedIds, userId, { postId: existing.postId }, content);
+        }
+        const post = await db.getPostById(existing.postId);
+        const update = { postId: post.postId, content: post.content, editedAt: post.editedAt };
+        const blockedIds = await db.getBlockedUserIds(userId);
+        io.except(blockedIds.map(userRoom)).emit('postUpdated', update);
+        res.json({ success: true, message: 'Post updated.', post: update });
+    } catch (error) {
+        console.error('Post update error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// POSTS: Delete a post for good (its author only), with its comments and reactions. Its media
+// files are deleted too unless another post or story uses them.
+app.delete('/api/posts/:postId', requireAuth, requireVerifiedEmail, rateLimit.limitRequests([limits.postDelete, byUser]), async (req, res) => {
+    const { userId } = req.user;
+
+    try {
+        const existing = await db.getPostForModeration(req.params.postId);
+        // A post removed by a moderator is already gone for its author, and stays for the record
+        if (!existing || existing.removedAt) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+        if (existing.userId !== userId) {
+            return res.status(403).json({ success: false, message: 'You can only delete your own posts.' });
+        }
+
+        await db.deletePost(existing.postId);
+        await removeUnusedMediaFiles([existing.mediaUrl, existing.mediaThumbnailUrl]);
+        io.emit('postDeleted', { postId: existing.postId });
+        res.json({ success: true, message: 'Post deleted.' });
+    } catch (error) {
+        console.error('Post deletion error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// POSTS: The versions of a post, newest first: its current text, then each earlier one
+app.get('/api/posts/:postId/edits', requireAuth, async (req, res) => {
+    try {
+        const post = await db.getPostById(req.params.postId, req.user.userId);
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+        const edits = await db.getPostEdits(post.postId);
+        const versions = [
+            { content: post.content, writtenAt: post.editedAt || post.timestamp, replacedAt: null },
+            ...edits
+        ];
+        res.json({ success: true, versions });
+    } catch (error) {
+        console.error('Post history error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// COMMENTS: Get a page of top-level comments for a post
+app.get('/api/posts/:postId/comments', requireAuth, commentPageHandler(async (req) => {
+    const post = await db.getPostById(req.params.postId, req.user.userId);
+    return post && { postId: post.postId, parentId: null };
+}));
+
+// COMMENTS: Get a page of replies to a comment
+app.get('/api/comments/:commentId/replies', requireAuth, commentPageHandler(async (req) => {
+    const parent = await db.getCommentById(req.params.commentId);
+    const post = parent && await db.getPostById(parent.postId, req.user.userId);
+    return post && { postId: parent.postId, parentId: parent.commentId };
+}));
+
+// COMMENTS: Add a comment, or a reply with { parentId }
+app.post('/api/posts/:postId/comments', requireAuth, requireVerifiedEmail, rateLimit.limitRequests([limits.comment, byUser]), async (req, res) => {
+    const { postId } = req.params;
+    const { text, parentId = null } = req.body || {};
+    const { userId } = req.user;
+
+    const validationError = validateCommentText(text);
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+        if (!(await db.getPostById(postId, userId))) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+        let parent = null;
+        if (parentId !== null) {
+            parent = await db.getCommentById(parentId);
+            if (!parent || parent.postId !== postId) {
+                return res.status(400).json({ success: false, message: 'Parent comment does not belong to this post.' });
+            }
+            if (parent.isDeleted) {
+                return res.status(400).json({ success: false, message: 'Cannot reply to a deleted comment.' });
+            }
+            if (await db.isBlockedBetween(userId, parent.userId)) {
+                return res.status(403).json({ success: false, message: 'You cannot reply to this comment.' });
+            }
+        }
+
+        const commentId = await db.addComment(postId, userId, text.trim(), parent ? parent.commentId : null);
+        const comment = await db.getCommentById(commentId);
+        const { postOwnerId } = comment;
+        delete comment.postOwnerId;
+        const commentCount = await db.getCommentCount(postId);
+
+        await emitToPostViewers(postId, userId, 'newComment', { postId, comment: { ...comment, replyCount: 0 }, commentCount });
+
+        // The post's author hears about every comment, a parent comment's author about replies
+        const notified = [...new Set([postOwnerId, parent && parent.userId].filter(Boolean))];
+        for (const recipientId of notified) {
+            await notify({ userId: recipientId, actorId: userId, type: 'comment', postId, commentId, preview: comment.text });
+        }
+        const mentionedIds = await saveEntities('comment', commentId, postId, userId, comment.text);
+        await notifyMentions(mentionedIds, userId, { postId, commentId }, comment.text, notified);
+        res.json({ success: true, message: 'Comment added.', comment, commentCount });
+    } catch (error) {
+        console.error('Comment creation error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// COMMENTS: Edit a comment (author only)
+app.patch('/api/comments/:commentId', requireAuth, async (req, res) => {
+    const { text } = req.body || {};
+    const validationError = validateCommentText(text);
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+        const existing = await db.getCommentById(req.params.commentId);
+        if (!existing || existing.isDeleted) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+        if (existing.userId !== req.user.userId) {
+            return res.status(403).json({ success: false, message: 'You can only edit your own comments.' });
+        }
+
+        await db.updateComment(existing.commentId, text.trim());
+        const comment = await db.getCommentById(existing.commentId);
+        delete comment.postOwnerId;
+        // Only people mentioned by the edit are notified, not everyone mentioned before
+        const mentionedIds = await saveEntities('comment', comment.commentId, comment.postId, comment.userId, comment.text);
+        await notifyMentions(mentionedIds, comment.userId, { postId: comment.postId, commentId: comment.commentId }, comment.text);
+
+        await emitToPostViewers(comment.postId, comment.userId, 'commentUpdated', { postId: comment.postId, comment });
+        res.json({ success: true, message: 'Comment updated.', comment });
+    } catch (error) {
+        console.error('Comment update error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// COMMENTS: Soft-delete a comment (its author or the post's owner)
+app.delete('/api/comments/:commentId', requireAuth, async (req, res) => {
+    const { userId } = req.user;
+
+    try {
+        const existing = await db.getCommentById(req.params.commentId);
+        if (!existing || existing.isDeleted) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+        if (existing.userId !== userId && existing.postOwnerId !== userId) {
+            return res.status(403).json({ success: false, message: 'You cannot delete this comment.' });
+        }
+
+        await db.softDeleteComment(existing.commentId, userId);
+        const commentCount = await db.getCommentCount(existing.postId);
+
+        io.to(postRoom(existing.postId)).emit('commentDeleted', {
+            postId: existing.postId,
+            commentId: existing.commentId,
+            commentCount
+        });
+        res.json({ success: true, message: 'Comment deleted.', commentCount });
+    } catch (error) {
+        console.error('Comment deletion error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// REACTIONS: Who reacted to a post or private message (?emoji=&after=<cursor>&limit=N)
+app.get('/api/reactions/:targetType/:targetId', requireAuth, async (req, res) => {
+    const { targetType, targetId } = req.params;
+    const { emoji } = req.query;
+    if (!REACTION_TARGETS.includes(targetType)) {
+        return res.status(400).json({ success: false, message: `targetType must be one of: ${REACTION_TARGETS.join(', ')}.` });
+    }
+    if (emoji && !isValidEmoji(emoji)) {
+        return res.status(400).json({ success: false, message: 'Invalid emoji.' });
+    }
+    const after = pagination.decodeCursor(req.query.after);
+    if (req.query.after && !after) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
+
+    try {
+        if (!(await resolveReactionTarget(targetType, targetId, req.user.userId))) {
+            return res.status(404).json({ success: false, message: 'Reaction target not found.' });
+        }
+        const rows = await db.getReactors(targetType, targetId, emoji || null, { after, limit: limit + 1 });
+        const page = pagination.buildPage(rows, limit, r => pagination.encodeCursor(r.reactedAt, r.userId));
+        res.json({ success: true, users: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
+    } catch (error) {
+        console.error('Error fetching reactions:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// STORIES: The stories tray, grouped by author (the current user's own stories and those of
+// the users they follow, until they expire)
+app.get('/api/stories', requireAuth, async (req, res) => {
+    const { userId } = req.user;
+    try {
+        const stories = await db.getStoryTray(userId);
+        res.json({ success: true, tray: await buildStoryTray(stories, userId) });
+    } catch (error) {
+        console.error('Story tray error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// STORIES: Post a story. `media` is the metadata returned by /api/upload-file (an image or a
+// video, `text` is then its caption); without media the story is just the text.
+app.post('/api/stories', requireAuth, requireVerifiedEmail, rateLimit.limitRequests([limits.story, byUser]), async (req, res) => {
+    const { userId } = req.user;
+    const body = req.body || {};
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    if (text.length > MAX_STORY_TEXT_LENGTH) {
+        return res.status(400).json({ success: false, message: `Story text is limited to ${MAX_STORY_TEXT_LENGTH} characters.` });
+    }
+    let storyMedia = null;
+    if (body.media) {
+        storyMedia = parsePostMedia(body.media);
+        if (!storyMedia) {
+            return res.status(400).json({ success: false, message: 'Invalid media.' });
+        }
+    }
+    if (!text && !storyMedia) {
+        return res.status(400).json({ success: false, message: 'Text or media is required.' });
+    }
+
+    try {
+        const storyId = uuidv4();
+        const type = !storyMedia ? 'text' : (/\.(mp4|webm)$/.test(storyMedia.url) ? 'video' : 'image');
+        const expiresAt = new Date(Date.now() + STORY_TTL_MS);
+        await db.createStory({ storyId, userId, type, text, media: storyMedia, expiresAt });
+        const story = await db.getStoryById(storyId);
+        io.to(await feedAudienceRooms(userId)).emit('storiesUpdated', { userId });
+        res.status(201).json({ success: true, story: { ...story, seen: true, viewCount: 0 } });
+    } catch (error) {
+        console.error('Story creation error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// STORIES: Record that the current user viewed a story (views of one's own stories are not counted)
+app.post('/api/stories/:storyId/view', requireAuth, async (req, res) => {
+    const { userId } = req.user;
+    try {
+        const story = await db.getStoryById(req.params.storyId, userId);
+        if (!story) {
+            return res.status(404).json({ success: false, message: 'Story not found.' });
+        }
+        if (String(story.userId) !== String(userId)) {
+            await db.markStoryViewed(story.storyId, userId);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Story view error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// STORIES: Who viewed a story, most recent first; only its author may see this
+app.get('/api/stories/:storyId/viewers', requireAuth, async (req, res) => {
+    const { userId } = req.user;
+    try {
+        const story = await db.getStoryById(req.params.storyId, userId);
+        if (!story) {
+            return res.status(404).json({ success: false, message: 'Story not found.' });
+        }
+        if (String(story.userId) !== String(userId)) {
+            return res.status(403).json({ success: false, message: 'Only the author can see who viewed a story.' });
+        }
+        const viewers = await db.getStoryViewers(story.storyId, userId);
+        res.json({ success: true, viewers, viewCount: viewers.length });
+    } catch (error) {
+        console.error('Story viewers error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// FOLLOWS: Follow state and counts of a user
+app.get('/api/users/:id/follow', requireAuth, async (req, res) => {
+    try {
+        const [counts, isFollowing] = await Promise.all([
+            db.getFollowCounts(req.params.id),
+            db.isFollowing(req.user.userId, req.params.id)
+        ]);
+        res.json({ success: true, isFollowing, ...counts });
+    } catch (error) {
+        console.error('Follow status error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// FOLLOWS: Follow a user (idempotent)
+app.post('/api/users/:id/follow', requireAuth, requireVerifiedEmail, rateLimit.limitRequests([limits.follow, byUser]), async (req, res) => {
+    const followeeId = req.params.id;
+    if (String(followeeId) === String(req.user.userId)) {
+        return res.status(400).json({ success: false, message: 'You cannot follow yourself.' });
+    }
+
+    try {
+        if (!(await db.findUserById(followeeId))) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        if (await db.isBlockedBetween(req.user.userId, followeeId)) {
+            return res.status(403).json({ success: false, message: 'You cannot follow this user.' });
+        }
+        if (await db.followUser(req.user.userId, followeeId)) {
+            await notify({ userId: followeeId, actorId: req.user.userId, type: 'follow' });
+        }
+        const counts = await db.getFollowCounts(followeeId);
+        res.json({ success: true, isFollowing: true, ...counts });
+    } catch (error) {
+        console.error('Follow error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// FOLLOWS: Unfollow a user (idempotent)
+app.delete('/api/users/:id/follow', requireAuth, async (req, res) => {
+    try {
+        await db.unfollowUser(req.user.userId, req.params.id);
+        const counts = await db.getFollowCounts(req.params.id);
+        res.json({ success: true, isFollowing: false, ...counts });
+    } catch (error) {
+        console.error('Unfollow error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+/**
+ * Route handler listing a page of a user's followers or followees (?before=<cursor>&limit=N).
+ * @param {'followers'|'following'} direction
+ */
+const followListHandler = (direction) => async (req, res) => {
+    const before = pagination.decodeCursor(req.query.before);
+    if (req.query.before && !before) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
+
+    try {
+        const rows = await db.getFollowList(req.params.id, direction, { before, limit: limit + 1 });
+        const page = pagination.buildPage(rows, limit, u => pagination.encodeCursor(u.followedAt, u.userId));
+        const counts = await db.getFollowCounts(req.params.id);
+        res.json({ success: true, users: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore, ...counts });
+    } catch (error) {
+        console.error(`Error fetching ${direction}:`, error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+};
+
+// FOLLOWS: Follower / following lists
+app.get('/api/users/:id/followers', requireAuth, followListHandler('followers'));
+app.get('/api/users/:id/following', requireAuth, followListHandler('following'));
+
+/**
+ * Validates the fields of a profile update. Empty strings clear the optional fields.
+ * @returns {Object} { changes } with only the fields present in the body, or { error }.
+ */
+const validateProfileChanges = (body) => {
+    const changes = {};
+    const optionalText = (field, maxLength) => {
+        if (body[field] === undefined) return null;
+        if (body[field] !== null && typeof body[field] !== 'string') return `${field} must be a string.`;
+        const value = (body[field] || '').trim();
+        if (value.length > maxLength) return `${field} must be at most ${maxLength} characters.`;
+        changes[field] = value || null;
+        return null;
+    };
+    const error = optionalText('displayName', MAX_DISPLAY_NAME_LENGTH)
+        || optionalText('bio', MAX_BIO_LENGTH)
+        || optionalText('website', MAX_WEBSITE_LENGTH);
+    if (error) {
+        return { error };
+    }
+    if (changes.website && !/^https?:\/\/[^\s]+$/i.test(changes.website)) {
+        return { error: 'website must be an http(s) URL.' };
+    }
+    if (body.username !== undefined) {
+        if (typeof body.username !== 'string' || !USERNAME_PATTERN.test(body.username)) {
+            return { error: 'Username must be 3-30 letters, digits or underscores.' };
+        }
+        changes.username = body.username;
+    }
+    return { changes };
+};
+
+// PROFILES: Edit the current user's profile { displayName, bio, website, username }.
+// A new username is propagated to the user's posts, comments and live sessions, and the
+// response carries a fresh access token with the new name.
+app.patch('/api/users/me', requireAuth, rateLimit.limitRequests([limits.profileUpdate, byUser]), async (req, res) => {
+    const { changes, error } = validateProfileChanges(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ success: false, message: 'Nothing to update.' });
+    }
+    const { userId, sessionId } = req.user;
+
+    try {
+        const current = await db.findUserById(userId);
+        if (changes.username === current.username) {
+            delete changes.username;
+        }
+        if (changes.username && await db.isUsernameTaken(changes.username, userId)) {
+            return res.status(409).json({ success: false, message: 'That username is already taken.' });
+        }
+        if (Object.keys(changes).length > 0) {
+            await db.updateUserProfile(userId, changes);
+        }
+        const profile = await db.getUserProfile(userId);
+
+        let accessToken;
+        if (changes.username) {
+            const user = { userId, username: profile.username };
+            accessToken = auth.signAccessToken(user, sessionId);
+            if (req.session && req.session.userId) {
+                req.session.username = profile.username;
+            }
+            // Connected sockets keep the identity they authenticated with, so rename them too
+            for (const s of await io.in(userRoom(userId)).fetchSockets()) {
+                s.data.user.username = profile.username;
+            }
+            await broadcastOnlineUsers();
         }
-    },
-    filename: (req, file, cb) => {
-        // Create unique filenames: userId-timestamp.ext
-        const ext = path.extname(file.originalname);
-        const userId = req.body.userId || 'unknown';
-        cb(null, `${userId}-${Date.now()}${ext}`);
+        io.emit('profileUpdated', {
+            userId, username: profile.username, displayName: profile.displayName, profilePicUrl: profile.profilePicUrl
+        });
+        res.json({ success: true, message: 'Profile updated.', profile, ...(accessToken && { token: accessToken }) });
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
-const upload = multer({
-    storage: storage,
-    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
-
-
-// --- Middleware ---
-app.use(express.json());
-app.use(express.static('public')); // Serve static files, including uploads
-
-// --- Helper Functions ---
 
 /**
- * Broadcasts the current list of online users to all connected clients.
- * MODIFIED to include profile picture URL.
+ * Resolves the ":id" of a profile route: a user id, "me", or "@username" (as used by mention links).
+ * @returns {Promise<string|null>} The user id, or null if no user has that name.
  */
-const broadcastOnlineUsers = async () => {
-    // NOTE: db.getOnlineUsers() must now return a profile_pic_url field
-    const users = await db.getOnlineUsers();
-    // Include profilePicUrl for the frontend to render the list
-    const userPayload = users.map(u => ({
-        userId: u.userId,
-        username: u.username,
-        profilePicUrl: u.profile_pic_url || '/default-user.png'
-    }));
-    io.emit('onlineUsers', userPayload);
-    console.log(`Broadcasting ${userPayload.length} online users.`);
+const resolveProfileId = async (param, viewerId) => {
+    if (param === 'me') {
+        return viewerId;
+    }
+    if (param.startsWith('@')) {
+        const [user] = await db.findUsersByUsernames([param.slice(1)]);
+        return user ? user.user_id : null;
+    }
+    return param;
 };
 
+// PROFILES: A user's public profile with follow counts and the viewer's relationship to them.
+// Users who blocked the viewer appear not to exist.
+app.get('/api/users/:id', requireAuth, async (req, res) => {
+    const { userId } = req.user;
 
-// --- API Routes (Modified/Added) ---
+    try {
+        const profileId = await resolveProfileId(req.params.id, userId);
+        const profile = profileId && await db.getUserProfile(profileId);
+        if (!profile || await db.hasRestricted(profileId, userId, 'blocks')) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const [counts, isFollowing, isBlocked, isMuted] = await Promise.all([
+            db.getFollowCounts(profileId),
+            db.isFollowing(userId, profileId),
+            db.hasRestricted(userId, profileId, 'blocks'),
+            db.hasRestricted(userId, profileId, 'mutes')
+        ]);
+        res.json({
+            success: true,
+            profile: { ...profile, ...counts, isSelf: String(profileId) === String(userId), isFollowing, isBlocked, isMuted }
+        });
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
 
-// AUTH: Signup endpoint (MODIFIED to save a default profile pic)
-app.post('/api/signup', async (req, res) => {
-    const { email, password, username } = req.body;
-    if (!email || !password || !username) {
-        return res.status(400).json({ success: false, message: 'All fields are required.' });
+// PROFILES: A page of a user's posts, newest first (?before=<cursor>&limit=N)
+app.get('/api/users/:id/posts', requireAuth, async (req, res) => {
+    const { userId } = req.user;
+    const before = pagination.decodeCursor(req.query.before);
+    if (req.query.before && !before) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
     }
+    const limit = pagination.parseLimit(req.query.limit);
 
     try {
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-        const userId = uuidv4();
-        const defaultProfilePicUrl = '/default-user.png'; // Default PFP
-
-        // NOTE: db.createUser must be updated to accept and save profilePicUrl
-        const success = await db.createUser(userId, email, hashedPassword, username, defaultProfilePicUrl);
-
-        if (success) {
-            res.json({
-                success: true,
-                message: 'User created successfully.',
-                token: 'fake-jwt-token',
-                userId,
-                username,
-                profilePicUrl: defaultProfilePicUrl // NEW
-            });
-        } else {
-             return res.status(500).json({ success: false, message: 'Failed to create user due to database issue.' });
+        const profileId = await resolveProfileId(req.params.id, userId);
+        if (!profileId || !(await db.findUserById(profileId)) || await db.isBlockedBetween(userId, profileId)) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
         }
+        const rows = await db.getAllPosts({ before, limit: limit + 1, authorId: profileId });
+        const page = pagination.buildPage(rows, limit, p => pagination.encodeCursor(p.timestamp, p.postId));
+        const posts = await withViewerState(page.items, userId);
+        res.json({ success: true, posts, nextCursor: page.nextCursor, hasMore: page.hasMore });
     } catch (error) {
-        if (error.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ success: false, message: 'Email or Username already taken.' });
-        }
-        console.error('Signup error:', error);
+        console.error('Profile posts error:', error);
         res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
 
-// AUTH: Login endpoint (MODIFIED to return profile picture URL)
-app.post('/api/login', async (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) {
-        return res.status(400).json({ success: false, message: 'Email and password are required.' });
+// BLOCKS AND MUTES: The users the current user blocked or muted
+app.get('/api/blocks', requireAuth, async (req, res) => {
+    try {
+        const [blocked, muted] = await Promise.all([
+            db.getRestrictedUsers(req.user.userId, 'blocks'),
+            db.getRestrictedUsers(req.user.userId, 'mutes')
+        ]);
+        res.json({ success: true, blocked, muted });
+    } catch (error) {
+        console.error('Block list error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
     }
+});
 
-    try {
-        // NOTE: db.findUserByEmail must now return the user's profile_pic_url
-        const user = await db.findUserByEmail(email);
+/**
+ * Route handler blocking, unblocking, muting or unmuting the user in :id (all idempotent).
+ * Blocks change what both users see, so presence lists are rebroadcast.
+ * @param {'block'|'mute'} kind
+ * @param {boolean} enable
+ */
+const restrictionHandler = (kind, enable) => async (req, res) => {
+    const targetId = req.params.id;
+    const { userId } = req.user;
+    if (String(targetId) === String(userId)) {
+        return res.status(400).json({ success: false, message: `You cannot ${kind} yourself.` });
+    }
 
-        if (!user) {
-            return res.status(401).json({ success: false, message: 'Invalid credentials.' });
+    try {
+        if (!(await db.findUserById(targetId))) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
         }
-
-        const match = await bcrypt.compare(password, user.password_hash);
-
-        if (match) {
-            res.json({
-                success: true,
-                message: 'Login successful.',
-                token: 'fake-jwt-token',
-                userId: user.user_id,
-                username: user.username,
-                profilePicUrl: user.profile_pic_url || '/default-user.png' // NEW
-            });
-        } else {
-            res.status(401).json({ success: false, message: 'Invalid credentials.' });
+        const change = {
+            block: enable ? db.blockUser : db.unblockUser,
+            mute: enable ? db.muteUser : db.unmuteUser
+        }[kind];
+        await change(userId, targetId);
+        if (kind === 'block') {
+            await broadcastOnlineUsers();
         }
+        // The user's other devices refresh their lists
+        io.to(userRoom(userId)).emit('restrictionsUpdated', { userId: targetId, kind, enabled: enable });
+        res.json({ success: true, [kind === 'block' ? 'isBlocked' : 'isMuted']: enable });
     } catch (error) {
-        console.error('Login error:', error);
+        console.error(`${kind} error:`, error);
         res.status(500).json({ success: false, message: 'Server error.' });
     }
-});
+};
 
+app.post('/api/users/:id/block', requireAuth, rateLimit.limitRequests([limits.block, byUser]), restrictionHandler('block', true));
+app.delete('/api/users/:id/block', requireAuth, rateLimit.limitRequests([limits.block, byUser]), restrictionHandler('block', false));
+app.post('/api/users/:id/mute', requireAuth, rateLimit.limitRequests([limits.block, byUser]), restrictionHandler('mute', true));
+app.delete('/api/users/:id/mute', requireAuth, rateLimit.limitRequests([limits.block, byUser]), restrictionHandler('mute', false));
 
-// AUTH: Forgot Password endpoint (EXISTING)
-app.post('/api/forgot-password', async (req, res) => {
-// ... (existing logic) ...
-});
+// NOTIFICATIONS: Get a page of the user's notifications, newest first (?before=<cursor>&limit=N&unread=true)
+app.get('/api/notifications', requireAuth, async (req, res) => {
+    const before = pagination.decodeCursor(req.query.before);
+    if (req.query.before && !before) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
 
-// AUTH: Reset Password endpoint (EXISTING)
-app.post('/api/reset-password', async (req, res) => {
-// ... (existing logic) ...
+    try {
+        const [rows, unreadCount] = await Promise.all([
+            db.getNotifications(req.user.userId, { before, limit: limit + 1, unreadOnly: req.query.unread === 'true' }),
+            db.getUnreadNotificationCount(req.user.userId)
+        ]);
+        const page = pagination.buildPage(rows, limit, n => pagination.encodeCursor(n.createdAt, n.notificationId));
+        res.json({
+            success: true,
+            notifications: page.items.map(formatNotification),
+            unreadCount,
+            nextCursor: page.nextCursor,
+            hasMore: page.hasMore
+        });
+    } catch (error) {
+        console.error('Notifications fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching notifications.' });
+    }
 });
 
-// PROFILE: Update Profile Picture (NEW Production Ready Route)
-app.post('/api/update-profile-pic', upload.single('profilePic'), async (req, res) => {
-    // 'profilePic' must match the field name in the frontend FormData
-    const userId = req.body.userId; // Sent from frontend via FormData
+// NOTIFICATIONS: Mark notifications read { notificationIds }, or all of them when omitted.
+// The user's other devices get 'notificationsRead' to update their badge.
+app.post('/api/notifications/read', requireAuth, async (req, res) => {
+    const { notificationIds = null } = req.body || {};
+    if (notificationIds !== null && !(Array.isArray(notificationIds) && notificationIds.every(id => Number.isInteger(id) && id > 0))) {
+        return res.status(400).json({ success: false, message: 'notificationIds must be a list of notification ids.' });
+    }
 
-    if (!userId) {
-        return res.status(401).json({ success: false, message: 'Authentication failed. userId missing.' });
+    try {
+        await db.markNotificationsRead(req.user.userId, notificationIds);
+        const unreadCount = await db.getUnreadNotificationCount(req.user.userId);
+        io.to(userRoom(req.user.userId)).emit('notificationsRead', { notificationIds, unreadCount });
+        res.json({ success: true, unreadCount });
+    } catch (error) {
+        console.error('Notifications read error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
     }
+});
 
-    if (!req.file) {
-        return res.status(400).json({ success: false, message: 'No image file uploaded.' });
+// NOTIFICATIONS: Per-type preferences, { preferences: { like: { inApp, email }, ... } }.
+// Email digests only include notifications that are also kept in-app.
+app.get('/api/notifications/preferences', requireAuth, async (req, res) => {
+    try {
+        res.json({ success: true, preferences: await db.getNotificationPreferences(req.user.userId) });
+    } catch (error) {
+        console.error('Notification preferences fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
     }
+});
 
-    // The URL is relative to the 'public' directory
-    const profilePicUrl = `/uploads/profile_pics/${req.file.filename}`;
+app.put('/api/notifications/preferences', requireAuth, async (req, res) => {
+    const { preferences } = req.body || {};
+    const isValid = preferences && typeof preferences === 'object' && Object.entries(preferences).every(([type, p]) =>
+        db.NOTIFICATION_TYPES.includes(type) && p && typeof p.inApp === 'boolean' && typeof p.email === 'boolean');
+    if (!isValid) {
+        return res.status(400).json({
+            success: false,
+            message: `preferences must map ${db.NOTIFICATION_TYPES.join(', ')} to { inApp, email } booleans.`
+        });
+    }
 
     try {
-        // NOTE: db.updateUserProfilePic must now handle the full URL
-        const success = await db.updateUserProfilePic(userId, profilePicUrl);
+        await db.setNotificationPreferences(req.user.userId, preferences);
+        res.json({ success: true, preferences: await db.getNotificationPreferences(req.user.userId) });
+    } catch (error) {
+        console.error('Notification preferences update error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
 
-        if (success) {
-            // Broadcast the update to all clients to refresh UI instantly
-            io.emit('profileUpdate', { userId, profilePicUrl });
+// REPORTS: Report a post, comment, message or user { targetType, targetId, reason, details }.
+// Reporting the same target again while the first report is open does not add another.
+app.post('/api/reports', requireAuth, rateLimit.limitRequests([limits.report, byUser]), async (req, res) => {
+    const { targetType, targetId, reason, details = null } = req.body || {};
+    if (!REPORT_TARGETS.includes(targetType) || targetId === undefined || targetId === null || targetId === '') {
+        return res.status(400).json({ success: false, message: `targetType must be one of: ${REPORT_TARGETS.join(', ')}, and targetId is required.` });
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+        return res.status(400).json({ success: false, message: `reason must be one of: ${REPORT_REASONS.join(', ')}.` });
+    }
+    if (details !== null && (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH)) {
+        return res.status(400).json({ success: false, message: `details must be at most ${MAX_REPORT_DETAILS_LENGTH} characters.` });
+    }
 
-            res.json({
-                success: true,
-                message: 'Profile picture updated successfully.',
-                profilePicUrl
-            });
-        } else {
-             res.status(500).json({ success: false, message: 'Failed to update profile picture in DB.' });
+    try {
+        const target = await resolveReportTarget(targetType, targetId, req.user.userId);
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Report target not found.' });
         }
-
+        if (String(target.targetUserId) === String(req.user.userId)) {
+            return res.status(400).json({ success: false, message: 'You cannot report yourself.' });
+        }
+        const { reportId, created } = await db.createReport({
+            reporterId: req.user.userId,
+            targetType,
+            targetId,
+            targetUserId: target.targetUserId,
+            reason,
+            details: details && details.trim(),
+            contentSnapshot: target.contentSnapshot
+        });
+        res.status(created ? 201 : 200).json({ success: true, message: 'Thanks, a moderator will review your report.', reportId });
     } catch (error) {
-        console.error('Profile picture update error:', error);
-        res.status(500).json({ success: false, message: 'Server error updating profile.' });
+        console.error('Report error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
 
-// FILES: Generic File Upload (NEW for chat/post media)
-app.post('/api/upload-file', upload.single('mediaFile'), async (req, res) => {
-    // 'mediaFile' must match the field name in the frontend FormData
-    if (!req.file) {
-        return res.status(400).json({ success: false, message: 'No file uploaded.' });
+// ADMIN: The moderation queue, a page of reports (?status=open|resolved|dismissed&after=<cursor>&limit=N).
+// Open reports come oldest first.
+app.get('/api/admin/reports', requireAuth, requireAdmin, async (req, res) => {
+    const status = req.query.status || 'open';
+    if (!['open', 'resolved', 'dismissed'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'status must be one of: open, resolved, dismissed.' });
     }
+    const after = pagination.decodeCursor(req.query.after);
+    if (req.query.after && !after) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
 
-    // The URL is relative to the 'public' directory
-    const fileUrl = `/uploads/files/${req.file.filename}`;
-
-    res.json({
-        success: true,
-        message: 'File uploaded successfully.',
-        fileUrl,
-        originalName: req.file.originalname // Useful for display
-    });
+    try {
+        const rows = await db.getReports({ status, after, limit: limit + 1 });
+        const page = pagination.buildPage(rows, limit, r => pagination.encodeCursor(r.createdAt, r.reportId));
+        res.json({ success: true, reports: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
+    } catch (error) {
+        console.error('Report queue error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
 });
 
-
-// POSTS: Get all posts (MODIFIED to fetch mediaUrl and profilePicUrl)
-app.get('/api/posts', async (req, res) => {
+// ADMIN: A report with the current state of its target
+app.get('/api/admin/reports/:reportId', requireAuth, requireAdmin, async (req, res) => {
     try {
-        // NOTE: db.getAllPosts must be updated to JOIN with user info to include profilePicUrl
-        const posts = await db.getAllPosts();
-        res.json(posts);
+        const report = await db.getReportById(req.params.reportId);
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report not found.' });
+        }
+        const target = await getModerationTarget(report.targetType, report.targetId);
+        res.json({ success: true, report, target: target || null });
     } catch (error) {
-        console.error('Error fetching posts:', error);
-        res.status(500).json({ success: false, message: 'Failed to fetch posts.' });
+        console.error('Report fetch error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
 
-// POSTS: Create new post (MODIFIED to handle mediaUrl)
-app.post('/api/posts', async (req, res) => {
-    const { userId, username, content, mediaUrl, profilePicUrl } = req.body; // profilePicUrl included for instant broadcast
+// ADMIN: Resolve a report { action, note, durationHours }. 'dismiss' closes it without action;
+// 'suspend'/'unsuspend' on a content report apply to the content's author. Every open report
+// on the same target is closed along with it.
+app.post('/api/admin/reports/:reportId/resolve', requireAuth, requireAdmin, async (req, res) => {
+    const { action, note = null, durationHours = null } = req.body || {};
+    const moderatorId = req.user.userId;
 
-    if (!userId || !username || (!content && !mediaUrl)) {
-        return res.status(400).json({ success: false, message: 'Content or media URL is required.' });
-    }
     try {
-        const postId = uuidv4();
-        // NOTE: db.createPost must be updated to save the mediaUrl
-        const success = await db.createPost(postId, userId, username, content, mediaUrl);
+        const report = await db.getReportById(req.params.reportId);
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Report not found.' });
+        }
+        if (report.status !== 'open') {
+            return res.status(409).json({ success: false, message: 'This report is already closed.' });
+        }
 
-        if (success) {
-            // Fetch the newly created post (or construct it) for the broadcast
-            const newPost = {
-                postId, userId, username, content, mediaUrl,
-                timestamp: new Date().toISOString(), likeCount: 0,
-                profilePicUrl // Include PFP URL for immediate client rendering
-            };
-            io.emit('updateFeed', newPost); // Broadcast the new post to all clients
-            res.json({ success: true, message: 'Post created successfully.', postId });
-        } else {
-            res.status(500).json({ success: false, message: 'Failed to create post.' });
+        if (action === 'dismiss') {
+            await db.closeReports(report.targetType, report.targetId, 'dismissed', 'dismiss', moderatorId);
+            await db.logModerationAction({ moderatorId, action, targetType: report.targetType, targetId: report.targetId, reportId: report.reportId, note });
+            return res.json({ success: true, message: 'Report dismissed.' });
+        }
+
+        const onAuthor = MODERATION_ACTIONS.user.includes(action);
+        const targetType = onAuthor ? 'user' : report.targetType;
+        const targetId = onAuthor ? report.targetUserId : report.targetId;
+        const validationError = validateModerationRequest(targetType, { action, note, durationHours });
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+        if (!(await applyModerationAction(moderatorId, targetType, targetId, action, { note, durationHours }))) {
+            return res.status(409).json({ success: false, message: `Cannot ${action} this ${targetType}.` });
         }
+        await db.closeReports(report.targetType, report.targetId, 'resolved', action, moderatorId);
+        await db.logModerationAction({ moderatorId, action, targetType, targetId, reportId: report.reportId, note });
+        res.json({ success: true, message: 'Report resolved.' });
     } catch (error) {
-        console.error('Post creation error:', error);
+        console.error('Report resolution error:', error);
         res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
 
-// COMMENTS: Get comments for a post (EXISTING, logic assumes profilePicUrl is fetched)
-app.get('/api/posts/:postId/comments', async (req, res) => {
-// ... (existing logic) ...
-});
+// ADMIN: Act on content or an account directly { targetType, targetId, action, note, durationHours }.
+// Open reports on the target are resolved by the action.
+app.post('/api/admin/moderation', requireAuth, requireAdmin, async (req, res) => {
+    const { targetType, targetId, action, note = null, durationHours = null } = req.body || {};
+    const moderatorId = req.user.userId;
+    const validationError = validateModerationRequest(targetType, { action, note, durationHours });
+    if (validationError || targetId === undefined || targetId === null) {
+        return res.status(400).json({ success: false, message: validationError || 'targetId is required.' });
+    }
+    if (targetType === 'user' && String(targetId) === String(moderatorId)) {
+        return res.status(400).json({ success: false, message: 'You cannot moderate your own account.' });
+    }
 
-// COMMENTS: Add a comment (EXISTING, logic assumes profilePicUrl is fetched)
-app.post('/api/posts/:postId/comments', async (req, res) => {
-// ... (existing logic) ...
+    try {
+        if (!(await applyModerationAction(moderatorId, targetType, targetId, action, { note, durationHours }))) {
+            return res.status(409).json({ success: false, message: `Cannot ${action} this ${targetType}.` });
+        }
+        await db.closeReports(targetType, targetId, 'resolved', action, moderatorId);
+        await db.logModerationAction({ moderatorId, action, targetType, targetId, note });
+        res.json({ success: true, message: 'Done.' });
+    } catch (error) {
+        console.error('Moderation error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
 });
 
-// PROFILE: Update profile picture URL (REMOVED/REPLACED by /api/update-profile-pic, but kept for legacy update path)
-app.post('/api/profile/picture', async (req, res) => {
-    // It's highly recommended to deprecate this route and use /api/update-profile-pic
-    const { userId, url } = req.body;
-    if (!userId || !url) {
-        return res.status(400).json({ success: false, message: 'User ID and URL are required.' });
+// ADMIN: Grant or revoke the admin role { role: 'user'|'admin' }
+app.patch('/api/admin/users/:id/role', requireAuth, requireAdmin, async (req, res) => {
+    const { role } = req.body || {};
+    if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `role must be one of: ${USER_ROLES.join(', ')}.` });
+    }
+    if (String(req.params.id) === String(req.user.userId)) {
+        return res.status(400).json({ success: false, message: 'You cannot change your own role.' });
     }
 
     try {
-        const success = await db.updateUserProfilePic(userId, url);
-        if (success) {
-            // Broadcast the update to all clients to refresh UI instantly
-            io.emit('profileUpdate', { userId, profilePicUrl: url }); // Added socket broadcast
-            res.json({ success: true, message: 'Profile picture updated successfully.' });
-        } else {
-            res.status(500).json({ success: false, message: 'Failed to update profile picture.' });
+        if (!(await db.setUserRole(req.params.id, role))) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
         }
+        await db.logModerationAction({ moderatorId: req.user.userId, action: `set_role:${role}`, targetType: 'user', targetId: req.params.id });
+        res.json({ success: true, role });
+    } catch (error) {
+        console.error('Role change error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// ADMIN: A page of the moderation audit log, newest first (?before=<cursor>&limit=N)
+app.get('/api/admin/audit-log', requireAuth, requireAdmin, async (req, res) => {
+    const before = pagination.decodeCursor(req.query.before);
+    if (req.query.before && !before) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor.' });
+    }
+    const limit = pagination.parseLimit(req.query.limit);
+
+    try {
+        const rows = await db.getModerationLog({ before, limit: limit + 1 });
+        const page = pagination.buildPage(rows, limit, l => pagination.encodeCursor(l.createdAt, l.logId));
+        res.json({ success: true, entries: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
     } catch (error) {
-        console.error('Update profile picture error:', error);
+        console.error('Audit log error:', error);
         res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
 
+// Errors no route answered (e.g. a malformed JSON body) get the same JSON shape as every route
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        console.error('Unhandled request error:', err);
+    }
+    res.status(status).json({ success: false, message: status < 500 ? 'Invalid request.' : 'Server error.' });
+});
+
 
 // --- WebSocket (Socket.IO) Logic ---
-io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
 
-    // --- 1. User Status ---
+// Every connection must present a valid credential in the handshake (see auth.authenticateSocket)
+io.use(auth.authenticateSocket);
+
+/**
+ * Builds the structured error acknowledgement sent back to socket clients.
+ * @param {string} code - Machine-readable error code, e.g. 'FORBIDDEN'.
+ * @param {string} message - Human-readable description.
+ */
+const socketError = (code, message) => ({ success: false, error: { code, message } });
+
+/**
+ * The socket counterpart of auth.requireVerifiedEmail.
+ * @returns {Promise<Object|null>} A socketError for unverified accounts, otherwise null.
+ */
+const unverifiedEmailError = async (userId) => {
+    const status = await db.getEmailVerificationStatus(userId);
+    return status && status.verified ? null : socketError('EMAIL_NOT_VERIFIED', 'Please verify your email address first.');
+};
+
+// Payload fields that used to carry the caller's identity. They are ignored now,
+// but a value that disagrees with the authenticated user is rejected as impersonation.
+const IDENTITY_FIELDS = ['userId', 'senderId'];
+
+/**
+ * Registers a socket event handler that runs as the authenticated user.
+ * The handler receives (data, user) and its return value (or { success: true }) is
+ * passed to the client's acknowledgement callback, if one was supplied.
+ * Events are rate limited per user (SOCKET_EVENT_LIMITS); throttled ones are acknowledged
+ * with a RATE_LIMITED error carrying retryAfter (seconds) and are not handled.
+ */
+const onAuthenticated = (socket, event, handler) => {
+    socket.on(event, async (data, ack) => {
+        if (typeof data === 'function') {
+            ack = data;
+            data = {};
+        }
+        const respond = typeof ack === 'function' ? ack : () => {};
+        const user = socket.data.user;
 
-    socket.on('userOnline', async (data) => {
-        const { userId, username } = data;
-        if (!userId || !username) return;
+        if (data && typeof data === 'object' && IDENTITY_FIELDS.some(f => data[f] !== undefined && data[f] !== user.userId)) {
+            return respond(socketError('FORBIDDEN', 'You cannot act on behalf of another user.'));
+        }
 
         try {
-            await db.registerOnlineUser(userId, username, socket.id);
-            broadcastOnlineUsers();
-            console.log(`${username} (${userId}) is online.`);
+            const limiter = limits[SOCKET_EVENT_LIMITS[event] || 'socketEvent'];
+            const throttle = await limiter.consume(user.userId);
+            if (!throttle.allowed) {
+                const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+                const error = socketError('RATE_LIMITED', `Too many ${event} events. Try again in ${retryAfter} seconds.`);
+                error.error.retryAfter = retryAfter;
+                return respond(error);
+            }
+
+            const result = await handler(data || {}, user);
+            respond(result || { success: true });
         } catch (err) {
-            console.error("Error registering user online:", err);
+            console.error(`Error handling ${event}:`, err);
+            respond(socketError('SERVER_ERROR', 'Server error.'));
         }
     });
+};
 
-    socket.on('disconnect', async () => {
-    // ... (existing logic) ...
+io.on('connection', (socket) => {
+    // The username is read from socket.data.user when each event runs: a rename updates it in place
+    const { userId } = socket.data.user;
+    console.log(`A user connected: ${socket.id} (${userId})`);
+
+    // All of a user's sockets share one room, so direct events reach every device
+    socket.join(userRoom(userId));
+
+    // typingKey -> { at, conversationId }: when this socket last forwarded a 'typing' event there
+    const typingTo = new Map();
+
+    // --- 1. User Status ---
+
+    // userOnline: { lastMessageId? } — the newest message this device already has. Everything
+    // after it is sent back as 'missedMessages', together with the persisted unread counts.
+    onAuthenticated(socket, 'userOnline', async (data) => {
+        await db.registerOnlineUser(userId, socket.id);
+        socket.join((await db.getConversationIdsForUser(userId)).map(conversationRoom));
+        await broadcastOnlineUsers();
+        console.log(`${socket.data.user.username} (${userId}) is online on socket ${socket.id}.`);
+
+        // Everything sent while the user was offline has now reached a device
+        notifyDelivered(userId, await db.markMessagesDelivered(userId));
+
+        const lastMessageId = parseInt(data.lastMessageId);
+        let messages = [];
+        if (lastMessageId >= 0) {
+            messages = await db.getMessagesSince(userId, lastMessageId, CATCH_UP_LIMIT + 1);
+        }
+        socket.emit('missedMessages', {
+            messages: await formatMessages(messages.slice(0, CATCH_UP_LIMIT), userId),
+            // The client should reload its conversations from history instead
+            hasMore: messages.length > CATCH_UP_LIMIT,
+            unreadCounts: await db.getUnreadCounts(userId)
+        });
+    });
+
+    // setPresence: a device reports 'away' (e.g. tab hidden) or 'online' again
+    onAuthenticated(socket, 'setPresence', async (data) => {
+        const { status } = data;
+        if (!['online', 'away'].includes(status)) {
+            return socketError('BAD_REQUEST', "status must be 'online' or 'away'.");
+        }
+        await db.setSocketStatus(socket.id, status);
+        await broadcastOnlineUsers();
     });
 
-    // --- 2. Private Chat ---
+    socket.on('disconnect', async () => {
+        // A closed tab cannot send stopTyping itself
+        for (const { conversationId } of typingTo.values()) {
+            io.to(conversationRoom(conversationId)).emit('stopTyping', { userId, conversationId });
+        }
+        typingTo.clear();
 
-    // requestChatHistory (MODIFIED to align with potential file attachments)
-    socket.on('requestChatHistory', async (data) => {
-        const { senderId, recipientId } = data;
         try {
-            // NOTE: db.getChatHistory must return messages that can include media URLs in the message_text/content
-            const history = await db.getChatHistory(senderId, recipientId);
-            socket.emit('chatHistory', { recipientId, history });
+            await db.unregisterOnlineUser(socket.id);
+            // The user only goes offline once their last device has disconnected
+            if (!(await db.isUserOnline(userId))) {
+                await db.updateLastSeen(userId);
+                console.log(`${socket.data.user.username} (${userId}) is offline.`);
+            }
+            await broadcastOnlineUsers();
         } catch (err) {
-            console.error("Error fetching chat history:", err);
+            console.error("Error unregistering user:", err);
+        }
+    });
+
+    // --- 2. Conversations (direct and group chats) ---
+    // Chat events address a conversation either by conversationId or, for direct chats, by the
+    // other user's recipientId. Messages go to the conversation's room.
+
+    // requestChatHistory: the history is always of a conversation the user is a member of.
+    // Pages go backwards in time: pass the previous response's nextCursor as `before` to load older messages.
+    onAuthenticated(socket, 'requestChatHistory', async (data) => {
+        const conversation = await resolveConversation(userId, data);
+        if (conversation && conversation.success === false) {
+            return conversation;
         }
+        const before = pagination.decodeCursor(data.before);
+        if (data.before && !before) {
+            return socketError('BAD_REQUEST', 'Invalid cursor.');
+        }
+        const limit = pagination.parseLimit(data.limit, 50);
+
+        // A direct chat that was never written to has no conversation yet, and no history
+        const rows = conversation ? await db.getChatHistory(conversation.conversationId, { before, limit: limit + 1 }) : [];
+        const page = pagination.buildPage(rows, limit, m => pagination.encodeCursor(m.timestamp, m.message_id));
+
+        const payload = {
+            recipientId: data.recipientId || null,
+            conversationId: conversation ? conversation.conversationId : null,
+            // Oldest first for display
+            history: await formatMessages(page.items.reverse(), userId),
+            before: data.before || null,
+            nextCursor: page.nextCursor,
+            hasMore: page.hasMore
+        };
+        socket.emit('chatHistory', payload);
+        return { success: true, ...payload };
     });
 
-    socket.on('privateMessage', async (data) => {
-        const { senderId, recipientId, message } = data; // message can now contain file URL tag
+    // privateMessage: { recipientId | conversationId, message, attachmentIds? }. Attachments are
+    // uploaded first via POST /api/chat/attachments; the text may be empty when at least one is attached.
+    onAuthenticated(socket, 'privateMessage', async (data) => {
+        const message = typeof data.message === 'string' ? data.message : '';
+        const attachmentIds = Array.isArray(data.attachmentIds) ? [...new Set(data.attachmentIds.map(String))] : [];
+        const senderId = userId;
         const timestamp = new Date().toISOString();
 
-        if (!senderId || !recipientId || !message) {
-            return;
+        if (!message.trim() && attachmentIds.length === 0) {
+            return socketError('BAD_REQUEST', 'A message or attachment is required.');
+        }
+        const verificationError = await unverifiedEmailError(userId);
+        if (verificationError) {
+            return verificationError;
+        }
+        if (attachmentIds.length > MAX_MESSAGE_ATTACHMENTS) {
+            return socketError('BAD_REQUEST', `At most ${MAX_MESSAGE_ATTACHMENTS} attachments per message.`);
         }
 
-        try {
-            // 1. Save the message to the database (full message content, including file URL tag)
-            await db.savePrivateMessage(senderId, recipientId, message);
-
-            const fullMsg = { senderId, recipientId, message, timestamp };
-
-            // 2. Try to send the message to the recipient if they are online
-            const recipientSocketId = await db.getRecipientSocketId(recipientId);
-            if (recipientSocketId) {
-                io.to(recipientSocketId).emit('newPrivateMessage', fullMsg);
-                console.log(`Private message sent to ${recipientId}.`);
-            } else {
-                console.log(`Recipient ${recipientId} not found online. Message saved but not delivered in real-time.`);
+        const conversation = await resolveConversation(userId, data, { create: true });
+        if (conversation.success === false) {
+            return conversation;
+        }
+        const { conversationId, recipientId } = conversation;
+        if (recipientId && await db.isBlockedBetween(senderId, recipientId)) {
+            return socketError('FORBIDDEN', 'You cannot message this user.');
+        }
+
+        const attachments = await db.getUnsentAttachments(attachmentIds, senderId);
+        if (attachments.length !== attachmentIds.length) {
+            return socketError('BAD_REQUEST', 'Unknown or already sent attachment.');
+        }
+        const type = messageType(attachments);
+
+        // 1. Save the message and link its attachments in one transaction
+        const messageId = await db.savePrivateMessage(senderId, recipientId, message, type, attachmentIds, conversationId);
+        if (!messageId) {
+            return socketError('CONFLICT', 'Attachment was already sent.');
+        }
+
+        const fullMsg = {
+            messageId, conversationId, conversationType: conversation.type,
+            senderId, senderUsername: socket.data.user.username, recipientId, message, type, timestamp, status: 'sent',
+            attachments: attachments.map(formatAttachment),
+            reactions: []
+        };
+
+        // 2. Deliver to every device of every member, including the sender's other devices
+        io.to(conversationRoom(conversationId)).emit('newPrivateMessage', fullMsg);
+
+        // Sending a message ends the sender's typing state
+        for (const [key, entry] of typingTo) {
+            if (entry.conversationId === conversationId) {
+                typingTo.delete(key);
+                socket.to(conversationRoom(conversationId)).emit('stopTyping', { userId, conversationId });
             }
+        }
 
-            // 3. Echo the message back to the sender
-            socket.emit('newPrivateMessage', fullMsg);
-        } catch (err) {
-            console.error("Error handling private message:", err);
+        // Delivery receipts are tracked for direct messages only
+        if (recipientId && await db.isUserOnline(recipientId)) {
+            notifyDelivered(recipientId, await db.markMessagesDelivered(recipientId, [messageId]));
+            console.log(`Private message sent to ${recipientId}.`);
+        } else if (recipientId) {
+            console.log(`Recipient ${recipientId} not found online. Message saved for catch-up on reconnect.`);
+        }
+
+        const recipientIds = recipientId
+            ? [recipientId]
+            : (await db.getConversationMembers(conversationId)).map(m => m.userId).filter(id => id !== senderId);
+        const preview = message.trim() || { image: 'Sent an image', video: 'Sent a video', file: 'Sent a file' }[type];
+        for (const id of recipientIds) {
+            await notify({ userId: id, actorId: senderId, type: 'message', conversationId, preview });
+        }
+        return { success: true, messageId, conversationId };
+    });
+
+    // markConversationRead: { recipientId | conversationId } — the user opened (or is looking at)
+    // the conversation, so all of its messages are read. In direct chats the sender gets read
+    // receipts; every session of the reader gets 'conversationRead' to clear the unread badge.
+    // messagesRead is the same event under its earlier name.
+    const readConversation = async (data) => {
+        const conversation = await resolveConversation(userId, data);
+        if (!conversation || conversation.success === false) {
+            return conversation || { success: true, messageIds: [] };
+        }
+        const { conversationId } = conversation;
+        const messageIds = await db.markConversationRead(userId, conversationId);
+        if (messageIds.length > 0) {
+            io.to(conversationRoom(conversationId)).emit('messageStatus', {
+                messageIds, conversationId, status: 'read', recipientId: userId, at: new Date().toISOString()
+            });
+        }
+        io.to(userRoom(userId)).emit('conversationRead', {
+            conversationId, userId: conversation.recipientId, unreadCount: 0
+        });
+        return { success: true, messageIds };
+    };
+    onAuthenticated(socket, 'markConversationRead', readConversation);
+    onAuthenticated(socket, 'messagesRead', readConversation);
+
+    // typing / stopTyping: { recipientId | conversationId }. Clients may emit 'typing' on every
+    // keystroke; it is forwarded at most once per TYPING_THROTTLE_MS (checked before any database
+    // lookup), and recipients expire it on their own.
+    onAuthenticated(socket, 'typing', async (data) => {
+        const key = typingKey(data);
+        if (!key) {
+            return socketError('BAD_REQUEST', 'recipientId or conversationId is required.');
+        }
+        const now = Date.now();
+        const previous = typingTo.get(key);
+        if (previous && now - previous.at < TYPING_THROTTLE_MS) {
+            return { success: true, throttled: true };
+        }
+        const conversation = await resolveConversation(userId, data);
+        if (!conversation || conversation.success === false) {
+            return conversation || socketError('NOT_FOUND', 'Conversation not found.');
+        }
+        const { conversationId } = conversation;
+        typingTo.set(key, { at: now, conversationId });
+        socket.to(conversationRoom(conversationId)).emit('typing', { userId, username: socket.data.user.username, conversationId });
+    });
+
+    onAuthenticated(socket, 'stopTyping', async (data) => {
+        const key = typingKey(data);
+        if (!key) {
+            return socketError('BAD_REQUEST', 'recipientId or conversationId is required.');
+        }
+        const entry = typingTo.get(key);
+        if (entry) {
+            typingTo.delete(key);
+            socket.to(conversationRoom(entry.conversationId)).emit('stopTyping', { userId, conversationId: entry.conversationId });
         }
     });
 
     // --- 3. Feed and Likes ---
 
-    socket.on('newPost', (post) => {
-        socket.broadcast.emit('updateFeed', post);
+    // viewPost / leavePost: subscribe to live comment events of a post while its comments are open
+    onAuthenticated(socket, 'viewPost', async (data) => {
+        if (!data.postId) {
+            return socketError('BAD_REQUEST', 'postId is required.');
+        }
+        socket.join(postRoom(data.postId));
+    });
+
+    onAuthenticated(socket, 'leavePost', async (data) => {
+        if (!data.postId) {
+            return socketError('BAD_REQUEST', 'postId is required.');
+        }
+        socket.leave(postRoom(data.postId));
     });
 
-    socket.on('likePost', async (data) => {
-    // ... (existing logic) ...
+    // react: { targetType: 'post'|'message', targetId, emoji, action: 'toggle'|'add'|'remove' }
+    onAuthenticated(socket, 'react', async (data) => applyReaction(socket.data.user, data));
+
+    // likePost: legacy alias for toggling the ❤️ reaction on a post
+    onAuthenticated(socket, 'likePost', async (data) => {
+        const postId = typeof data === 'string' ? data : data.postId;
+        if (!postId) {
+            return socketError('BAD_REQUEST', 'postId is required.');
+        }
+        return applyReaction(socket.data.user, { targetType: 'post', targetId: postId, emoji: db.LIKE_EMOJI });
     });
 });
 
 // --- Server Startup ---
-server.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// The server refuses to start against a database with pending (or edited) migrations.
+// Presence rows from a previous run point at sockets that no longer exist, so clear them first.
+// NOTE: This assumes a single server instance owns the online_users table.
+// Once listening, expired stories are purged periodically, and unread notifications are emailed
+// as periodic digests if SMTP is configured.
+migrate.checkSchema()
+    .catch(err => {
+        console.error(`Refusing to start: ${err.message}`);
+        process.exit(1);
+    })
+    .then(() => db.clearOnlineUsers())
+    .then(count => count && console.log(`Cleared ${count} stale online_users rows.`))
+    .catch(err => console.error("Error clearing stale presence:", err))
+    .finally(() => {
+        server.listen(PORT, () => {
+            console.log(`Server running on http://localhost:${PORT}`);
+        });
+        const runStoryPurge = () => purgeExpiredStories()
+            .then(purged => purged && console.log(`Purged ${purged} expired stories.`))
+            .catch(err => console.error("Error purging expired stories:", err));
+        runStoryPurge();
+        setInterval(runStoryPurge, STORY_PURGE_INTERVAL_MS);
+        if (process.env.SMTP_HOST) {
+            setInterval(() => {
+                sendNotificationDigests()
+                    .then(sent => sent && console.log(`Sent ${sent} notification digests.`))
+                    .catch(err => console.error("Error sending notification digests:", err));
+            }, NOTIFICATION_DIGEST_INTERVAL_MS);
+        }
+    });
\ No newline at end of file
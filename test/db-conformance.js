@@ -0,0 +1,225 @@
+// --- STORAGE DRIVER CONFORMANCE ---
+// The same db.js checks, run against whichever driver DB_DRIVER selects (see db.sqlite.test.js
+// and db.mysql.test.js). The schema is brought up to date first; every test creates its own
+// users and everything it creates is deleted afterwards, so a database with data is left as it was.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const MINUTE_MS = 60 * 1000;
+
+module.exports = () => {
+    const db = require('../db');
+    const migrate = require('../migrate');
+
+    const userIds = [];
+    const conversationIds = [];
+
+    const createTestUser = async () => {
+        const userId = crypto.randomUUID();
+        const username = `t_${userId.slice(0, 8)}`;
+        assert.equal(await db.createUser(userId, `${username}@example.test`, 'not-a-hash', username), true);
+        userIds.push(userId);
+        return { userId, username };
+    };
+
+    const createTestPost = async (user, content) => {
+        const postId = crypto.randomUUID();
+        assert.equal(await db.createPost(postId, user.userId, content, null), true);
+        return postId;
+    };
+
+    const countPosts = async (postIds) => {
+        const rows = await db.query(`SELECT COUNT(*) AS count FROM posts WHERE id IN (${postIds.map(() => '?').join(', ')})`, postIds);
+        return Number(rows[0].count);
+    };
+
+    before(async () => {
+        await migrate.migrateUp();
+    });
+
+    after(async () => {
+        // Posts, follows, messages and the rest go with their users through foreign keys
+        if (conversationIds.length > 0) {
+            await db.query(`DELETE FROM conversations WHERE conversation_id IN (${conversationIds.map(() => '?').join(', ')})`, conversationIds);
+        }
+        if (userIds.length > 0) {
+            await db.query(`DELETE FROM users WHERE user_id IN (${userIds.map(() => '?').join(', ')})`, userIds);
+        }
+        await db.closePool();
+    });
+
+    test(`${db.dialect}: the schema is up to date after migrating`, async () => {
+        await migrate.checkSchema();
+    });
+
+    test(`${db.dialect}: users round-trip and duplicate keys are reported as ER_DUP_ENTRY`, async () => {
+        const user = await createTestUser();
+        const byEmail = await db.findUserByEmail(`${user.username}@example.test`);
+        assert.equal(byEmail.user_id, user.userId);
+        assert.equal(byEmail.username, user.username);
+        assert.equal((await db.findUserById(user.userId)).username, user.username);
+        assert.equal(await db.findUserById(crypto.randomUUID()), undefined);
+
+        await assert.rejects(
+            db.createUser(crypto.randomUUID(), `${user.username}@example.test`, 'not-a-hash', `${user.username}x`),
+            { code: 'ER_DUP_ENTRY' }
+        );
+    });
+
+    test(`${db.dialect}: DATETIME columns come back as Dates and compare with Date parameters`, async () => {
+        const user = await createTestUser();
+        const postId = await createTestPost(user, 'A post with a timestamp');
+        const post = await db.getPostById(postId);
+        assert.ok(post.timestamp instanceof Date && !Number.isNaN(post.timestamp.getTime()));
+        assert.equal(post.editedAt, null);
+
+        const now = new Date();
+        const storyId = crypto.randomUUID();
+        const expiresAt = new Date(now.getTime() + MINUTE_MS);
+        await db.createStory({ storyId, userId: user.userId, type: 'text', text: 'Gone soon', expiresAt });
+        const story = await db.getStoryById(storyId, null, now);
+        assert.ok(story.expiresAt instanceof Date);
+        assert.ok(Math.abs(story.expiresAt - expiresAt) < 1000); // DATETIME keeps whole seconds
+        assert.equal(await db.getStoryById(storyId, null, new Date(now.getTime() + 2 * MINUTE_MS)), undefined);
+    });
+
+    test(`${db.dialect}: insertIgnore skips duplicate rows`, async () => {
+        const follower = await createTestUser();
+        const followee = await createTestUser();
+        assert.equal(await db.followUser(follower.userId, followee.userId), true);
+        assert.equal(await db.followUser(follower.userId, followee.userId), false);
+        assert.deepEqual(await db.getFollowCounts(followee.userId), { followerCount: 1, followingCount: 0 });
+        assert.equal(await db.unfollowUser(follower.userId, followee.userId), true);
+        assert.equal(await db.isFollowing(follower.userId, followee.userId), false);
+    });
+
+    test(`${db.dialect}: upsert overwrites the listed columns of an existing row`, async () => {
+        const user = await createTestUser();
+        const socketId = `socket-${crypto.randomUUID()}`;
+        await db.registerOnlineUser(user.userId, socketId);
+        await db.setSocketStatus(socketId, 'away');
+        // Renaming goes through users; re-registering copies the current name again
+        await db.query('UPDATE users SET username = ? WHERE user_id = ?', [`${user.username}_renamed`, user.userId]);
+        await db.registerOnlineUser(user.userId, socketId);
+        const rows = await db.query('SELECT username, status FROM online_users WHERE socket_id = ?', [socketId]);
+        assert.deepEqual(rows.map(r => ({ ...r })), [{ username: `${user.username}_renamed`, status: 'online' }]);
+        assert.equal(await db.unregisterOnlineUser(socketId), true);
+    });
+
+    test(`${db.dialect}: textMatch finds posts containing every term`, async () => {
+        const user = await createTestUser();
+        const word = `zq${crypto.randomUUID().replace(/-/g, '').slice(0, 10)}`;
+        const postId = await createTestPost(user, `Conformance ${word} marmalade`);
+        const asOf = new Date(Date.now() + MINUTE_MS);
+
+        const found = await db.searchPosts(`${word} marmalade`, { asOf });
+        assert.deepEqual(found.map(p => p.postId), [postId]);
+        assert.deepEqual(await db.searchPosts(`${word} porridge`, { asOf }), []);
+        const users = await db.searchUsers(user.username, {});
+        assert.equal(users[0].userId, user.userId);
+    });
+
+    test(`${db.dialect}: posts and comments copy the author's current username`, async () => {
+        const user = await createTestUser();
+        await db.updateUserProfile(user.userId, { username: `${user.username}_new` });
+        const postId = await createTestPost(user, 'Written after a rename');
+        const commentId = await db.addComment(postId, user.userId, 'So was this');
+        const [post] = await db.query('SELECT username FROM posts WHERE id = ?', [postId]);
+        const [comment] = await db.query('SELECT username FROM comments WHERE comment_id = ?', [commentId]);
+        assert.equal(post.username, `${user.username}_new`);
+        assert.equal(comment.username, `${user.username}_new`);
+        assert.equal(await db.createPost(crypto.randomUUID(), crypto.randomUUID(), 'No such author', null), false);
+    });
+
+    test(`${db.dialect}: withTransaction commits on success and rolls back on error`, async () => {
+        const user = await createTestUser();
+        const committedId = crypto.randomUUID();
+        const rolledBackId = crypto.randomUUID();
+        const insert = 'INSERT INTO posts (id, user_id, username, content) VALUES (?, ?, ?, ?)';
+
+        const result = await db.withTransaction(async (txQuery) => {
+            await txQuery(insert, [committedId, user.userId, user.username, 'Committed']);
+            return 'done';
+        });
+        assert.equal(result, 'done');
+
+        await assert.rejects(db.withTransaction(async (txQuery) => {
+            await txQuery(insert, [rolledBackId, user.userId, user.username, 'Rolled back']);
+            throw new Error('abort');
+        }), /abort/);
+
+        assert.equal(await countPosts([committedId]), 1);
+        assert.equal(await countPosts([rolledBackId]), 0);
+    });
+
+    test(`${db.dialect}: transactions started together do not interleave`, async () => {
+        const user = await createTestUser();
+        const insert = 'INSERT INTO posts (id, user_id, username, content) VALUES (?, ?, ?, ?)';
+        const postIds = [crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID()];
+        const pause = () => new Promise(resolve => setTimeout(resolve, 10));
+
+        // Two transactions and a plain query start in the same tick. The first rolls back, and
+        // must not take the rows of the others with it
+        const results = await Promise.allSettled([
+            db.withTransaction(async (txQuery) => {
+                await txQuery(insert, [postIds[0], user.userId, user.username, 'First']);
+                await pause();
+                await txQuery(insert, [postIds[1], user.userId, user.username, 'First, again']);
+                throw new Error('abort');
+            }),
+            db.withTransaction(async (txQuery) => {
+                await txQuery(insert, [postIds[2], user.userId, user.username, 'Second']);
+                await pause();
+            }),
+            db.query(insert, [postIds[3], user.userId, user.username, 'Outside'])
+        ]);
+        assert.deepEqual(results.map(r => r.status), ['rejected', 'fulfilled', 'fulfilled']);
+        assert.equal(await countPosts([postIds[0], postIds[1]]), 0);
+        assert.equal(await countPosts([postIds[2], postIds[3]]), 2);
+
+        // A statement after the transactions is not part of either
+        const laterId = crypto.randomUUID();
+        await db.query(insert, [laterId, user.userId, user.username, 'Later']);
+        assert.equal(await countPosts([laterId]), 1);
+    });
+
+    test(`${db.dialect}: editing and deleting a post keeps its history and drops its reactions`, async () => {
+        const user = await createTestUser();
+        const postId = await createTestPost(user, 'Version one');
+        assert.equal(await db.updatePost(postId, 'Version two'), true);
+        assert.equal(await db.updatePost(crypto.randomUUID(), 'Nothing'), false);
+
+        const post = await db.getPostById(postId);
+        assert.equal(post.content, 'Version two');
+        assert.ok(post.editedAt instanceof Date);
+        assert.deepEqual((await db.getPostEdits(postId)).map(e => e.content), ['Version one']);
+
+        assert.equal(await db.addReaction('post', postId, user.userId, db.LIKE_EMOJI), true);
+        assert.equal(await db.deletePost(postId), true);
+        assert.equal(await db.getPostById(postId), undefined);
+        assert.equal(await db.hasReaction('post', postId, user.userId, db.LIKE_EMOJI), false);
+        assert.deepEqual(await db.getPostEdits(postId), []);
+    });
+
+    test(`${db.dialect}: direct conversations are keyed by both UUIDs and keep message order`, async () => {
+        const alice = await createTestUser();
+        const bob = await createTestUser();
+        const first = await db.getOrCreateDirectConversation(alice.userId, bob.userId);
+        conversationIds.push(first.conversationId);
+        assert.equal(first.created, true);
+        const again = await db.getOrCreateDirectConversation(bob.userId, alice.userId);
+        assert.deepEqual(again, { conversationId: first.conversationId, created: false });
+
+        const sent = [];
+        sent.push(await db.savePrivateMessage(alice.userId, bob.userId, 'Hi Bob', 'text', [], first.conversationId));
+        sent.push(await db.savePrivateMessage(bob.userId, alice.userId, 'Hi Alice', 'text', [], first.conversationId));
+        assert.ok(sent[1] > sent[0]);
+
+        const history = await db.getChatHistory(first.conversationId);
+        assert.deepEqual(history.map(m => m.message), ['Hi Alice', 'Hi Bob']);
+        assert.deepEqual((await db.getConversationMembers(first.conversationId)).map(m => m.userId).sort(),
+            [alice.userId, bob.userId].sort());
+    });
+};
@@ -0,0 +1,11 @@
+// db.js on MySQL, configured by the DB_* variables (see drivers/mysql.js). Skipped unless DB_HOST
+// is set; point it at a database used for testing, as pending migrations are applied to it.
+
+const { test } = require('node:test');
+
+if (process.env.DB_HOST) {
+    process.env.DB_DRIVER = 'mysql';
+    require('./db-conformance')();
+} else {
+    test('mysql: driver conformance', { skip: 'DB_HOST is not set' }, () => {});
+}
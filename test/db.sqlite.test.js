@@ -0,0 +1,6 @@
+// db.js on the embedded SQLite driver, in a throwaway in-memory database.
+
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+require('./db-conformance')();
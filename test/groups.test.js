@@ -0,0 +1,157 @@
+// --- GROUP CONVERSATION API TESTS ---
+// Runs server.js on a throwaway SQLite database and checks that blocks carry over to groups:
+// nobody can put a user they blocked, or who blocked them, in a group with them.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+
+const PASSWORD = 'password123';
+const STARTUP_TIMEOUT_MS = 20000;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'supagram-test-'));
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = path.join(tmpDir, 'test.sqlite');
+
+const db = require('../db');
+const migrate = require('../migrate');
+
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/**
+ * Starts server.js and resolves once it listens.
+ */
+const startServer = (port) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, JWT_SECRET: 'test-secret', PORT: String(port), SMTP_HOST: '' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    child.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes('Server running')) {
+            clearTimeout(timer);
+            resolve(child);
+        }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+});
+
+let server;
+let baseUrl;
+const users = {};
+
+const createVerifiedUser = async (name) => {
+    const userId = crypto.randomUUID();
+    await db.createUser(userId, `${name}@example.test`, await bcrypt.hash(PASSWORD, 4), name);
+    await db.markEmailVerified(userId);
+    return { userId, username: name };
+};
+
+const api = async (user, method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user.token}` },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+    await migrate.migrateUp();
+    for (const name of ['alice', 'bob', 'carol', 'dave']) {
+        users[name] = await createVerifiedUser(name);
+    }
+    await db.blockUser(users.alice.userId, users.bob.userId);
+
+    const port = await findFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = await startServer(port);
+
+    for (const user of Object.values(users)) {
+        const response = await fetch(`${baseUrl}/api/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: `${user.username}@example.test`, password: PASSWORD })
+        });
+        user.token = (await response.json()).token;
+        assert.ok(user.token, `${user.username} could not log in`);
+    }
+});
+
+after(async () => {
+    if (server && server.exitCode === null) {
+        const exited = new Promise(resolve => server.once('exit', resolve));
+        server.kill();
+        await exited;
+    }
+    await db.closePool();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const groupIdsOf = async (user) => {
+    const rows = await db.query(
+        "SELECT c.conversation_id FROM conversations c JOIN conversation_members m ON m.conversation_id = c.conversation_id WHERE c.type = 'group' AND m.user_id = ?",
+        [user.userId]
+    );
+    return rows.map(r => r.conversation_id);
+};
+
+test('a blocked user cannot create a group with the user who blocked them', async () => {
+    const response = await api(users.bob, 'POST', '/api/conversations', {
+        name: 'Sneaky', memberIds: [users.alice.userId, users.carol.userId]
+    });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.success, false);
+    assert.deepEqual(await groupIdsOf(users.alice), []);
+    assert.deepEqual(await groupIdsOf(users.carol), []);
+});
+
+test('the blocker cannot create a group with the user they blocked either', async () => {
+    const response = await api(users.alice, 'POST', '/api/conversations', {
+        name: 'Also no', memberIds: [users.bob.userId]
+    });
+    assert.equal(response.status, 403);
+    assert.deepEqual(await groupIdsOf(users.bob), []);
+});
+
+test('blocked users cannot be added to an existing group; others can', async () => {
+    const created = await api(users.bob, 'POST', '/api/conversations', {
+        name: 'Friends', memberIds: [users.carol.userId]
+    });
+    assert.equal(created.status, 201);
+    const { conversationId } = created.body.conversation;
+
+    const blocked = await api(users.bob, 'POST', `/api/conversations/${conversationId}/members`, {
+        userIds: [users.dave.userId, users.alice.userId]
+    });
+    assert.equal(blocked.status, 403);
+    assert.deepEqual(await groupIdsOf(users.alice), []);
+    assert.deepEqual(await groupIdsOf(users.dave), []);
+
+    const added = await api(users.bob, 'POST', `/api/conversations/${conversationId}/members`, {
+        userIds: [users.dave.userId]
+    });
+    assert.equal(added.status, 200);
+    assert.deepEqual(added.body.added, [users.dave.userId]);
+    assert.deepEqual(await groupIdsOf(users.dave), [conversationId]);
+});
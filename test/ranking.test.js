@@ -0,0 +1,91 @@
+// --- "FOR YOU" RANKING TESTS ---
+// Runs the ranking against a fixed dataset and a fixed clock, so every expectation is exact.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { affinityScore, scorePost, rankPosts } = require('../ranking');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW - hours * HOUR_MS);
+
+const POSTS = [
+    { postId: 'p-fresh', userId: 'stranger', timestamp: hoursAgo(0), likeCount: 0, commentCount: 0 },
+    { postId: 'p-popular', userId: 'stranger', timestamp: hoursAgo(6), likeCount: 50, commentCount: 10 },
+    { postId: 'p-friend', userId: 'friend', timestamp: hoursAgo(3), likeCount: 1, commentCount: 0 },
+    { postId: 'p-stale', userId: 'friend', timestamp: hoursAgo(72), likeCount: 50, commentCount: 10 },
+];
+
+const AFFINITY = {
+    friend: { follows: true, likes: 4, comments: 2 },
+};
+
+test('affinityScore is zero for strangers and grows with interaction', () => {
+    assert.equal(affinityScore(), 0);
+    assert.equal(affinityScore({}), 0);
+    assert.equal(affinityScore({ follows: true }), Math.log1p(3));
+    assert.equal(affinityScore(AFFINITY.friend), Math.log1p(3 + 4 + 4));
+});
+
+test('scorePost matches the formula for a fixed clock', () => {
+    const post = { timestamp: hoursAgo(2), likeCount: 3, commentCount: 1 };
+    const expected = (1 + Math.log1p(3) + 2 * Math.log1p(1) + 1.5 * 0.5) / Math.pow(4, 1.5);
+    assert.equal(scorePost(post, { now: NOW, affinity: 0.5 }), expected);
+});
+
+test('scorePost decays with age and treats future timestamps as brand new', () => {
+    const base = { likeCount: 5, commentCount: 2 };
+    const fresh = scorePost({ ...base, timestamp: hoursAgo(0) }, { now: NOW });
+    const older = scorePost({ ...base, timestamp: hoursAgo(10) }, { now: NOW });
+    const future = scorePost({ ...base, timestamp: hoursAgo(-5) }, { now: NOW });
+    assert.ok(fresh > older);
+    assert.equal(future, fresh);
+});
+
+test('scorePost accepts ISO strings as well as Dates', () => {
+    const post = { timestamp: hoursAgo(5), likeCount: 2, commentCount: 0 };
+    assert.equal(
+        scorePost({ ...post, timestamp: post.timestamp.toISOString() }, { now: NOW }),
+        scorePost(post, { now: NOW })
+    );
+});
+
+test('rankPosts orders the seeded dataset by score', () => {
+    const ranked = rankPosts(POSTS, { now: NOW, affinityByAuthor: AFFINITY });
+    assert.deepEqual(ranked.map(p => p.postId), ['p-friend', 'p-popular', 'p-fresh', 'p-stale']);
+    for (let i = 1; i < ranked.length; i++) {
+        assert.ok(ranked[i - 1].score >= ranked[i].score);
+    }
+});
+
+test('rankPosts lifts posts from authors the viewer interacts with', () => {
+    const withoutAffinity = rankPosts(POSTS, { now: NOW });
+    const withAffinity = rankPosts(POSTS, { now: NOW, affinityByAuthor: AFFINITY });
+    const score = (ranked, id) => ranked.find(p => p.postId === id).score;
+    assert.ok(score(withAffinity, 'p-friend') > score(withoutAffinity, 'p-friend'));
+    assert.equal(score(withAffinity, 'p-popular'), score(withoutAffinity, 'p-popular'));
+});
+
+test('rankPosts breaks ties by recency and then by postId', () => {
+    const tied = [
+        { postId: 'b', userId: 'u', timestamp: hoursAgo(1), likeCount: 0, commentCount: 0 },
+        { postId: 'a', userId: 'u', timestamp: hoursAgo(1), likeCount: 0, commentCount: 0 },
+        { postId: 'c', userId: 'u', timestamp: hoursAgo(1), likeCount: 0, commentCount: 0 },
+    ];
+    assert.deepEqual(rankPosts(tied, { now: NOW }).map(p => p.postId), ['a', 'b', 'c']);
+
+    // A future post and a post from right now score the same; the newer timestamp wins
+    const clamped = [
+        { postId: 'now', userId: 'u', timestamp: hoursAgo(0), likeCount: 0, commentCount: 0 },
+        { postId: 'later', userId: 'u', timestamp: hoursAgo(-1), likeCount: 0, commentCount: 0 },
+    ];
+    assert.deepEqual(rankPosts(clamped, { now: NOW }).map(p => p.postId), ['later', 'now']);
+});
+
+test('rankPosts does not mutate its input', () => {
+    const input = POSTS.map(p => ({ ...p }));
+    rankPosts(input, { now: NOW, affinityByAuthor: AFFINITY });
+    assert.deepEqual(input, POSTS);
+    assert.ok(input.every(p => !('score' in p)));
+});